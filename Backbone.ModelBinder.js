@@ -40,7 +40,36 @@
 		},
 		skipDefaultTriggers: false,
 		useDefaults: false,
-		forceGet: false
+		forceGet: false,
+		// class of bound elements while asynchronous filters are resolved
+		pendingClass: 'pending',
+		// class of bound elements, whose model attributes differ from the values at bind() or the last markClean()
+		dirtyClass: 'dirty',
+		// re-resolve bindings selectors when elements under rootEl are added or removed
+		live: false,
+		// virtual attributes: { attrName: function(model) } or { attrName: { get: function(model), set: function(value, model) } },
+		// where 'set' returns hash of real attributes to be set
+		computed: {},
+		// model to view updates are batched and rendered once per animation frame, if true, or per given number of milliseconds
+		batchUpdates: false,
+		// instance level binders, added to (or overriding) the registered ones: { elAttr: function($el, value, prevValue) }
+		binders: {},
+		// instance level named filters, added to (or overriding) the registered ones: { name: { toView, toModel } }
+		filters: {},
+		// when several bindings read different values of the same attribute from view: 'error', 'first',
+		// 'lastChanged' (value of element changed by user last wins) or function(values, attrName, model) returning the value.
+		// Can be set per attribute: { attrName: strategy }, 'error' is used for the rest
+		conflict: 'error',
+		// Displaying of errors from model's 'invalid' event. Set to false to disable.
+		validation: {
+			errorClass: 'invalid',
+			ariaInvalid: true,
+			// attribute name, like 'data-error-for', to find elements for error messages by model attribute name,
+			// or function(attrName, $boundEls) returning such element
+			messageTarget: undefined,
+			// 'keep' invalid input in view or 'revert' it to model value
+			policy: 'keep'
+		}
 	};
 
 	var defaultBinders = {
@@ -69,27 +98,25 @@
 			}
 		},
 
+		// { cssProperty: value } object. Numbers get 'px' units, where applicable. Properties missing in new value are removed.
+		'style': function($el, value, prevValue) {
+			if (!_.isObject(value) && !_.isObject(prevValue)) {
+				utils.setAttribute($el, 'style', value);
+				return;
+			}
+
+			var styles = _.isObject(prevValue) ? utils.updateValues(prevValue, function() { return ''; }) : {};
+			_.each(_.isObject(value) ? value : {}, function(propValue, name) {
+				styles[name] = propValue == null || propValue === false ? '' : propValue;
+			});
+			$el.css(styles);
+		},
+
+		// element specific, see value adapters
 		'value': function($el, value) {
-			if ($el.attr('type')) {
-				switch ($el.attr('type')) {
-					case 'radio':
-						$el.prop('checked', $el.val() === value);
-						break;
-					case 'checkbox':
-						$el.prop('checked', !!value);
-						break;
-					case 'file':
-						break;
-					default:
-						$el.val(value);
-				}
-			} else {
-				value = value || (value === 0 ? '0' : '');
-				if ($el.is('input') || $el.is('select') || $el.is('textarea')) {
-					$el.val(value);
-				} else {
-					$el.text(value);
-				}
+			var adapter = utils.findAdapter($el);
+			if (adapter && adapter.write) {
+				adapter.write($el, value);
 			}
 		}
 	};
@@ -108,9 +135,187 @@
 		.object().value()
 	);
 
-	// Filters to be applied to either model->view or view->model passed values:
+	// Binders are either function($el, value, prevValue) or objects with optional hooks:
+	// { init: function($el, binding), update: function($el, value, prevValue), destroy: function($el, binding) }.
+	// Functions are called in context of binders hash, so they can delegate to each other, hooks - in context of binder object.
+
+	// Binders registry, see ModelBinder.registerBinder. Each new instance gets a copy of it.
+
+	var binders = _.clone(defaultBinders);
+
+	var binderHooks = [ 'init', 'update', 'destroy' ];
+
+	// elAttr namespaces, like 'prop:checked' or 'class:active'. See ModelBinder.registerNamespace.
+	// Handlers are function($el, name, value). elAttrs without registered namespace are element attributes.
+
+	var namespaces = {
+		'css': function($el, name, value) {
+			$el.css(name, value == null || value === false ? '' : value);
+		},
+
+		'prop': function($el, name, value) {
+			$el.prop(name, value);
+		},
+
+		// non-string values are JSON encoded
+		'data': function($el, name, value) {
+			utils.setAttribute($el, 'data-' + name, _.isString(value) || value == null || value === false ? value : JSON.stringify(value));
+			// jQuery caches data attributes once read
+			$el.removeData(name);
+		},
+
+		// ARIA states are 'true' / 'false' tokens, so only null and undefined remove attributes
+		'aria': function($el, name, value) {
+			utils.setAttribute($el, 'aria-' + name, _.isBoolean(value) ? String(value) : value);
+		},
+
+		'class': function($el, name, value) {
+			$el.toggleClass(name, !!value);
+		}
+	};
+
+	// Value adapters read and write values of elements of different kinds, see ModelBinder.registerAdapter.
+	// The first matching one is used, so the last registered adapters go first and 'element' is the fallback.
+	// Adapters without 'read' make elements not editable.
+
+	var adapters = [
+		{
+			name: 'radio',
+			match: 'input:radio',
+			read: function($el) { return $el.val(); },
+			write: function($el, value) { $el.prop('checked', $el.val() === value); }
+		},
+		{
+			name: 'checkbox',
+			match: 'input:checkbox',
+			read: function($el) { return $el.prop('checked'); },
+			write: function($el, value) {
+				// array means that checkbox is a part of group, see ModelBinder#_isBindingCheckboxGroup
+				$el.prop('checked', _.isArray(value) ? _.contains(_.map(value, String), $el.val()) : !!value);
+			}
+		},
+		{
+			name: 'file',
+			match: 'input:file',
+			read: function($el) { return $el.val(); },
+			write: function() {}
+		},
+		{
+			name: 'multiselect',
+			match: 'select[multiple]',
+			// jQuery returns null when nothing is selected
+			read: function($el) { return $el.val() || []; },
+			write: function($el, value) { $el.val(_.map(value == null ? [] : utils.ensureArray(value), String)); }
+		},
+		{
+			name: 'contenteditable',
+			match: '[contenteditable]',
+			read: function($el) { return $el.html(); },
+			write: function($el, value) { $el.text(utils.toDisplayValue(value)); }
+		},
+		{
+			name: 'field',
+			match: 'input, select, textarea',
+			read: function($el) { return $el.val(); },
+			write: function($el, value) { $el.val($el.attr('type') ? value : utils.toDisplayValue(value)); }
+		},
+		{
+			name: 'element',
+			match: '*',
+			write: function($el, value) { $el.text(utils.toDisplayValue(value)); }
+		}
+	];
+
+	// elAttr prefix of event handlers bindings, like 'on:click'
+	var eventPrefix = 'on:';
+
+	// jQuery data key for values rendered to element, see ModelBinder#_rememberRenderedValue
+	var renderedDataKey = 'modelBinderRendered';
+
+	// virtual attribute, which is true when any bound attribute is dirty, see ModelBinder#isDirty
+	var dirtyAttr = '$dirty';
+
+	// named values of 'conflict' option, see ModelBinder#_resolveConflict
+	var conflictStrategies = ['error', 'first', 'lastChanged'];
+
+	// Pseudo-events, which can be used in element bindings 'trigger' option along with DOM events:
+
+	var triggerEvents = {
+		'enter': {
+			event: 'keydown',
+			filter: function(event) { return event.which === 13; }
+		}
+	};
+
+	// Named filters, which can be referenced in bindings filters chains. Filters are { toView: function(value, args...), toModel: ... }
+	// View values, which can't be converted, are passed to model as is - to be reported by model validation.
+
+	var defaultFilters = {
+		// 'number:2' shows 2 decimal digits
+		'number': {
+			toView: function(value, digits) {
+				if (value == null || (_.isNumber(value) && isNaN(value))) { return ''; }
+				return _.isNumber(value) && digits != null ? value.toFixed(digits) : value;
+			},
+			toModel: function(value) {
+				return utils.parseNumber(value, /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i);
+			}
+		},
+
+		'integer': {
+			toView: function(value) {
+				return value == null || (_.isNumber(value) && isNaN(value)) ? '' : value;
+			},
+			toModel: function(value) {
+				return utils.parseNumber(value, /^[-+]?\d+$/);
+			}
+		},
+
+		'trim': {
+			toView: _.identity,
+			toModel: function(value) {
+				return _.isString(value) ? $.trim(value) : value;
+			}
+		},
+
+		'emptyToNull': {
+			toView: function(value) {
+				return value == null ? '' : value;
+			},
+			toModel: function(value) {
+				return value === '' ? null : value;
+			}
+		},
+
+		// 'true' / 'false' strings, like values of radio buttons or options
+		'boolean': {
+			toView: function(value) {
+				return _.isBoolean(value) ? String(value) : value;
+			},
+			toModel: function(value) {
+				return _.has(booleanStrings, value) ? booleanStrings[value] : value;
+			}
+		},
+
+		// 'list:", "' joins array with ', ' and splits view value by ',', trimming items. Default delimiter is ','
+		'list': {
+			toView: function(value, delimiter) {
+				return _.isArray(value) ? value.join(delimiter == null ? ',' : delimiter) : (value == null ? '' : value);
+			},
+			toModel: function(value, delimiter) {
+				if (!_.isString(value)) { return value; }
+
+				delimiter = delimiter == null ? ',' : String(delimiter);
+				return _.filter(_.map(value.split($.trim(delimiter) || delimiter), $.trim), _.identity);
+			}
+		}
+	};
+
+	var booleanStrings = { 'true': true, 'false': false };
 
-	var filters = {};
+	// Named filters registry, see ModelBinder.registerFilter. Each new instance gets a copy of it.
+
+	var filters = _.clone(defaultFilters);
 
 	// Internal utility methods:
 
@@ -146,48 +351,261 @@
 			}
 		},
 
-		stream: function(keys, objects, handler, context) {
-			keys    = utils.ensureArray(keys);
-			objects = utils.ensureArray(objects);
-			return _.map(keys, function(key) {
-				return handler.apply(
-					context || this,
-					_.map(objects, function(object) { return object[key]; })
+		// Thenables (Promises/A+, jQuery deferreds etc.):
+
+		isThenable: function(value) {
+			return value != null && _.isFunction(value.then);
+		},
+
+		// Converts thenable to jQuery promise, resolved with a single value. Other values are returned as is.
+		toDeferred: function(value) {
+			if (!utils.isThenable(value)) {
+				return value;
+			}
+			return $.Deferred(function(deferred) {
+				value.then(
+					function(result) { deferred.resolve(result); },
+					function(error) { deferred.reject(error); }
 				);
+			}).promise();
+		},
+
+		// Returns jQuery promise, resolved with array of resolved values
+		whenAll: function(values) {
+			return $.when.apply($, _.map(values, utils.toDeferred)).then(function() {
+				return _.toArray(arguments);
 			});
 		},
 
-		groupByObj: function(obj, func, convertMap) {
-			var newObj = {};
-			convertMap || (convertMap = {});
-			for (var key in obj) {
-				var groupKey = func(obj[key], key, obj);
-				var groupObj = newObj[groupKey] || {};
-				var converters = convertMap[groupKey] || {};
-				groupObj[(converters['key'] || _.identity)(key)] = (converters['value'] || _.identity)(obj[key]);
-				newObj[groupKey] = groupObj;
+		// Like _.compose, but if function returns thenable, next one is called when it's resolved
+		composeAsync: function() {
+			var funcs = arguments;
+			return function() {
+				var result = funcs[funcs.length - 1].apply(this, arguments);
+
+				_.each(_.toArray(funcs).slice(0, -1).reverse(), function(func) {
+					result = utils.isThenable(result)
+						? utils.toDeferred(result).then(function(value) { return utils.toDeferred(func(value)); })
+						: func.call(this, result);
+				}, this);
+
+				return result;
+			};
+		},
+
+		// Dot-separated paths, like 'address.city' or 'items.0.label':
+
+		splitPath: function(path) {
+			return String(path).split('.');
+		},
+
+		// whether one path is the same as another one, or is an ancestor or a descendant of it
+		isPathRelated: function(path, otherPath) {
+			return path === otherPath
+				|| path.indexOf(otherPath + '.') === 0
+				|| otherPath.indexOf(path + '.') === 0;
+		},
 
+		getByPath: function(obj, path) {
+			for (var i = 0; i < path.length; i++) {
+				if (obj == null) { return undefined; }
+				obj = obj[path[i]];
 			}
-			return newObj;
+			return obj;
 		},
 
-		partialRight: function(func) {
-			var slice = Array.prototype.slice;
-			var boundArgs = slice.call(arguments, 1);
-			return function() {
-				func.apply(this, slice.call(arguments).concat(boundArgs));
+		// Does not mutate given object - all objects along the path are cloned, missing ones are created.
+		setByPath: function(obj, path, value) {
+			if (path.length === 0) { return value; }
+
+			var key = path[0],
+				copy;
+
+			if (_.isArray(obj)) {
+				copy = obj.slice();
+			} else if (_.isObject(obj)) {
+				copy = _.clone(obj);
+			} else {
+				copy = /^\d+$/.test(key) ? [] : {};
+			}
+
+			copy[key] = utils.setByPath(copy[key], path.slice(1), value);
+			return copy;
+		},
+
+		// Plain objects and arrays can be changed in place, so they are copied to be compared later
+		cloneDeep: function(value) {
+			return $.isPlainObject(value) || _.isArray(value) ? $.extend(true, _.isArray(value) ? [] : {}, value) : value;
+		},
+
+		// Returns number for numeric string, null for empty one. Other values are returned as is.
+		parseNumber: function(value, pattern) {
+			if (!_.isString(value)) { return value; }
+
+			var str = $.trim(value);
+			if (str === '') { return null; }
+			return pattern.test(str) ? Number(str) : value;
+		},
+
+		// Null, undefined and false remove attribute
+		setAttribute: function($el, name, value) {
+			if (value == null || value === false) {
+				$el.removeAttr(name);
+			} else {
+				$el.attr(name, value);
+			}
+		},
+
+		// Returns [handler, name] for elAttr, which is either namespaced or an element attribute
+		getNamespaceHandler: function(elAttr) {
+			var index = elAttr.indexOf(':'),
+				prefix = elAttr.slice(0, index);
+
+			return index > 0 && _.has(namespaces, prefix)
+				? [ namespaces[prefix], elAttr.slice(index + 1) ]
+				: [ utils.setAttribute, elAttr ];
+		},
+
+		// Values are displayed as is, except of 0. Null, undefined, false and NaN are shown as empty strings.
+		toDisplayValue: function(value) {
+			return value || (value === 0 ? '0' : '');
+		},
+
+		isAdapterMatched: function(adapter, $el) {
+			return _.isFunction(adapter.match) ? !!adapter.match($el) : $el.is(adapter.match);
+		},
+
+		findAdapter: function($el) {
+			return _.find(adapters, function(adapter) { return utils.isAdapterMatched(adapter, $el); });
+		},
+
+		// Calls function on next animation frame, if delay is true, or after delay in milliseconds. Returns cancel function.
+		schedule: function(func, delay) {
+			var requestFrame = window.requestAnimationFrame,
+				id;
+
+			if (delay === true && requestFrame) {
+				id = requestFrame.call(window, function() { func(); });
+				return function() { window.cancelAnimationFrame(id); };
+			}
+
+			id = setTimeout(func, delay === true ? 16 : delay);
+			return function() { clearTimeout(id); };
+		},
+
+		// Returns binder's hook function, if any. Function binders have 'update' hook only.
+		getBinderHook: function(binder, hook) {
+			if (_.isFunction(binder)) {
+				return hook === 'update' ? binder : undefined;
+			}
+			return binder && _.isFunction(binder[hook]) ? binder[hook] : undefined;
+		},
+
+		// Filter chains, like 'trim | number | currency:"USD"':
+
+		// splits string by separator, which is not quoted
+		splitUnquoted: function(str, separator) {
+			var parts = [ '' ],
+				quote = null,
+				ch;
+
+			for (var i = 0; i < str.length; i++) {
+				ch = str.charAt(i);
+				if (quote) {
+					if (ch === '\\') {
+						ch += str.charAt(++i);
+					} else if (ch === quote) {
+						quote = null;
+					}
+				} else if (ch === '"' || ch === "'") {
+					quote = ch;
+				} else if (ch === separator) {
+					parts.push('');
+					continue;
+				}
+				parts[parts.length - 1] += ch;
+			}
+
+			if (quote) {
+				throw 'unterminated string in "' + str + '"';
+			}
+			return parts;
+		},
+
+		// quoted strings, numbers, true, false and null are recognized, anything else is a string
+		parseFilterArg: function(arg) {
+			var quote = arg.charAt(0);
+
+			if ((quote === '"' || quote === "'") && arg.length > 1 && arg.charAt(arg.length - 1) === quote) {
+				return arg.slice(1, -1).replace(/\\(.)/g, '$1');
+			}
+			if (_.has(filterArgConstants, arg)) {
+				return filterArgConstants[arg];
+			}
+			return arg !== '' && !isNaN(arg) ? Number(arg) : arg;
+		},
+
+		// returns [{ name, args }]
+		parseFilterChain: function(expression) {
+			return _.map(utils.splitUnquoted(expression, '|'), function(item) {
+				var parts = _.map(utils.splitUnquoted(item, ':'), $.trim);
+
+				if (!parts[0]) {
+					throw 'empty filter name in "' + expression + '"';
+				}
+				return { name: parts[0], args: _.map(parts.slice(1), utils.parseFilterArg) };
+			});
+		},
+
+		// Returns { toView, toModel } of filters chain, looked up in availableFilters.
+		// Chain is applied left-to-right to model values and right-to-left to view values.
+		composeFilterChain: function(expression, availableFilters) {
+			var chain = _.map(utils.parseFilterChain(expression), function(item) {
+				if (!_.has(availableFilters, item.name)) {
+					throw 'unknown filter "' + item.name + '"';
+				}
+
+				var filter = availableFilters[item.name];
+				return utils.updateValues(utils.normalizeFilter(filter), function(func) {
+					return function(value) {
+						return func.apply(filter, [value].concat(item.args));
+					};
+				});
+			});
+
+			return {
+				toView:  utils.composeAsync.apply(utils, _.pluck(chain, 'toView').reverse()),
+				toModel: utils.composeAsync.apply(utils, _.pluck(chain, 'toModel'))
 			};
+		},
+
+		// single function means 'toView' filter
+		normalizeFilter: function(filter) {
+			filter = _.isFunction(filter) ? { toView: filter } : filter;
+			return { toView: filter.toView || _.identity, toModel: filter.toModel || _.identity };
 		}
 	};
 
+	var filterArgConstants = { 'true': true, 'false': false, 'null': null };
+
 	// The Binder:
 
 	var ModelBinder = function () {
 		_.bindAll.apply(_, [this].concat(_.functions(this)));
 
 		this._bindings = {};
+		// functions(rootEl) creating generated bindings again, see ModelBinder#refresh
+		this._bindingsSources = [];
+		this._computed = {};
+		this._validationErrors = {};
+		this._settingAttrs = [];
+		this._stats = { writes: 0, skippedWrites: 0 };
+		// { attrName: value } snapshot for dirty tracking, taken by markClean()
+		this._baseline = null;
+		// jQuery data key for element bindings index, see ModelBinder#_indexBinding
+		this._indexKey = _.uniqueId('modelBinderBindings');
 		this._options = $.extend(true, {}, defaultOptions); // deep clone
-		this.binders = _.clone(defaultBinders);
+		this.binders = _.clone(binders);
 		this.filters = _.clone(filters);
 
 		if (arguments.length > 0) {
@@ -211,47 +629,275 @@
 		}
 	};
 
-	_.extend(ModelBinder.prototype, {
+	/**
+	 * Registers named binder, which will be available to all ModelBinder instances created afterwards
+	 * @param {String}   name    elAttr to be used in bindings
+	 * @param {Function|Object} binder  function($el, value, prevValue), called with binders hash as a context,
+	 *                                  or { init($el, binding), update($el, value, prevValue), destroy($el, binding) } object
+	 * @param {Object}   options Following keys are recognized:
+	 *  - override(optional) - replace already registered binder with the same name. Otherwise it's an error
+	 */
+	ModelBinder.registerBinder = function (name, binder, options) {
+		if (!_.isString(name) || !name || /\s/.test(name)) {
+			throw 'Binder name must be a non-empty string without whitespaces, got "' + name + '"';
+		}
+		if (!_.isFunction(binder) && !(_.isObject(binder) && _.some(binderHooks, function(hook) { return _.isFunction(binder[hook]); }))) {
+			throw 'Binder "' + name + '" must be a function or { init, update, destroy } object';
+		}
+		if (_.has(binders, name) && !(options && options.override)) {
+			throw 'Binder "' + name + '" is already registered. Use {override: true} option to replace it';
+		}
+		binders[name] = binder;
+	};
+
+	// Removes binder from the registry. Existing instances keep their copies.
+	ModelBinder.unregisterBinder = function (name) {
+		delete binders[name];
+	};
+
+	// Returns registered binder, e.g. to be wrapped by an overriding one
+	ModelBinder.getBinder = function (name) {
+		return _.has(binders, name) ? binders[name] : undefined;
+	};
+
+	/**
+	 * Registers named filter, which can be referenced in bindings filters chains, like 'trim | currency:"USD"'
+	 * @param {String}          name    filter name
+	 * @param {Object|Function} filter  { toView: function(value, args...), toModel: function(value, args...) }.
+	 *                                  Single function is 'toView' filter. Missing filters pass values through.
+	 * @param {Object}          options Following keys are recognized:
+	 *  - override(optional) - replace already registered filter with the same name. Otherwise it's an error
+	 */
+	ModelBinder.registerFilter = function (name, filter, options) {
+		if (!_.isString(name) || !/^[\w$-]+$/.test(name)) {
+			throw 'Filter name must contain only letters, digits, "_", "$" or "-", got "' + name + '"';
+		}
+		if (!_.isFunction(filter) && !(_.isObject(filter) && (_.isFunction(filter.toView) || _.isFunction(filter.toModel)))) {
+			throw 'Filter "' + name + '" must be a function or { toView, toModel } object';
+		}
+		if (_.has(filters, name) && !(options && options.override)) {
+			throw 'Filter "' + name + '" is already registered. Use {override: true} option to replace it';
+		}
+		filters[name] = utils.normalizeFilter(filter);
+	};
+
+	ModelBinder.unregisterFilter = function (name) {
+		delete filters[name];
+	};
+
+	ModelBinder.getFilter = function (name) {
+		return _.has(filters, name) ? filters[name] : undefined;
+	};
+
+	/**
+	 * Registers value adapter, which reads and writes values of matching elements for 'value' elAttr.
+	 * Adapters are applied to all ModelBinder instances and take precedence over previously registered ones.
+	 * @param {String} name    adapter name
+	 * @param {Object} adapter Following keys are recognized:
+	 *  - match - selector or function($el) returning whether adapter handles the element
+	 *  - read(optional) - function($el) returning element value. Elements without it are not editable
+	 *  - write(optional) - function($el, value) updating element
+	 *  - events(optional) - space separated DOM events signaling element value change, in addition to 'changeTriggers'
+	 * @param {Object} options Following keys are recognized:
+	 *  - override(optional) - replace already registered adapter with the same name, keeping its precedence.
+	 *    Otherwise it's an error
+	 */
+	ModelBinder.registerAdapter = function (name, adapter, options) {
+		var existing = ModelBinder.getAdapter(name);
+
+		if (!_.isString(name) || !name) {
+			throw 'Adapter name must be a non-empty string, got "' + name + '"';
+		}
+		if (!_.isObject(adapter) || !(_.isString(adapter.match) || _.isFunction(adapter.match))) {
+			throw 'Adapter "' + name + '" must have "match" selector or function';
+		}
+		if (!_.isFunction(adapter.read) && !_.isFunction(adapter.write)) {
+			throw 'Adapter "' + name + '" must have "read" or "write" function';
+		}
+		if (existing && !(options && options.override)) {
+			throw 'Adapter "' + name + '" is already registered. Use {override: true} option to replace it';
+		}
+
+		adapter = _.extend({}, adapter, { name: name });
+		if (existing) {
+			adapters[_.indexOf(adapters, existing)] = adapter;
+		} else {
+			adapters.unshift(adapter);
+		}
+	};
+
+	ModelBinder.unregisterAdapter = function (name) {
+		adapters = _.reject(adapters, function(adapter) { return adapter.name === name; });
+	};
+
+	ModelBinder.getAdapter = function (name) {
+		return _.find(adapters, function(adapter) { return adapter.name === name; });
+	};
+
+	/**
+	 * Registers elAttr namespace handler, e.g. 'attr' for 'attr:title' elAttrs. Namespaces are shared by all ModelBinder instances.
+	 * @param {String}   prefix  namespace, without ':'
+	 * @param {Function} handler function($el, name, value), where name follows the prefix
+	 * @param {Object}   options Following keys are recognized:
+	 *  - override(optional) - replace already registered namespace. Otherwise it's an error
+	 */
+	ModelBinder.registerNamespace = function (prefix, handler, options) {
+		if (!_.isString(prefix) || !/^[\w-]+$/.test(prefix)) {
+			throw 'Namespace must contain only letters, digits, "_" or "-", got "' + prefix + '"';
+		}
+		if (!_.isFunction(handler)) {
+			throw 'Namespace "' + prefix + '" handler must be a function';
+		}
+		if (_.has(namespaces, prefix) && !(options && options.override)) {
+			throw 'Namespace "' + prefix + '" is already registered. Use {override: true} option to replace it';
+		}
+		namespaces[prefix] = handler;
+	};
+
+	ModelBinder.unregisterNamespace = function (prefix) {
+		delete namespaces[prefix];
+	};
+
+	ModelBinder.getNamespace = function (prefix) {
+		return _.has(namespaces, prefix) ? namespaces[prefix] : undefined;
+	};
+
+	_.extend(ModelBinder.prototype, Backbone.Events, {
 
 		toView: function() {
-			var modelBinder = this,
-				keys        = arguments.length > 0 ? utils.flattenArgs(arguments) : _.keys(modelBinder._bindings),
-				bindings    = modelBinder._getBindingsForAttributes(keys),
-				values      = modelBinder._fetchViewValuesFromModel(keys);
+			return this._copyModelToView(arguments.length > 0 ? utils.flattenArgs(arguments) : [], {});
+		},
+
+		// Counters of performed and skipped (as already rendered) element writes, since the ModelBinder was created
+		getStats: function() {
+			return _.clone(this._stats);
+		},
 
-			_.chain(bindings).pluck('boundEls')
-				.zip(_.map(bindings, function(binding) {
-					return modelBinder._composeViewAttributesForBinding(binding, values[binding.parent.modelAttr]);
-				}))
-				.each(utils.arrayToArgs(modelBinder._updateView));
+		// Renders model to view updates, batched with 'batchUpdates' option, synchronously
+		flush: function() {
+			var batch = this._viewBatch;
 
-			return modelBinder;
+			if (!batch) { return this; }
+
+			batch.cancel();
+			this._viewBatch = null;
+			return this._copyModelToView(batch.isAll ? [] : batch.keys, batch.previous);
 		},
 
-		toModel: function($element) {
+		// Accepts either an element to read value from, or a list of model attributes to be read from all their bindings.
+		// Without arguments, all readable bindings are read.
+		toModel: function() {
 			var modelBinder = this,
-				model       = modelBinder._model,
-				values      = _.map(
-					modelBinder._getBindingsForElement($element),
-					function(binding) {
-						return modelBinder._composeModelAttributeForBinding(binding, $element);
-					}
-				);
+				$element    = arguments[0],
+				reads; // [binding, $element] pairs
+
+			if ($element instanceof $ || _.isElement($element)) {
+				$element = $($element);
+				reads = _.chain(modelBinder._getBindingsForElement($element))
+					.filter(modelBinder._isBindingReadable)
+					.map(function(binding) { return [ binding, $element ]; })
+					.value();
+			} else {
+				reads = modelBinder._getBindingsReads(modelBinder._getBindingsForAttributes(utils.flattenArgs(arguments)));
+			}
 
-			_.chain(values).groupBy(_.first).each(function(group, attrName) {
-				var values = _.map(group, _.last);
-				if (_.uniq(values).length > 1) {
-					return modelBinder._throwException([
-						'Configuration error: several bindings returns different value for the same model attribute.\n',
-						'Model attribute: ', attrName, '\n',
-						'Values: ', values.join(', '), '\n'
-					].join(''));
-				}
+			return modelBinder._copyViewToModel(reads);
+		},
+
+		// Adds element bindings of model attribute to bound ModelBinder, without full rebind.
+		// Config is the same as values of bindings hash passed to bind(). Only added bindings get initial values.
+		addBinding: function (attrName, config) {
+			var binder = this,
+				attrBinding, bindings, values;
+
+			if (!binder._model) {
+				return binder._throwException('addBinding() can be called for bound ModelBinder only');
+			}
+
+			attrBinding = binder._initElBindings(binder._initAttrBindings(_.object([ attrName ], [ config ])), binder._rootEl)[attrName];
+			bindings = attrBinding.bindings;
+
+			if (_.has(binder._bindings, attrName)) {
+				attrBinding = binder._bindings[attrName];
+				_.each(bindings, function(binding) { binding.parent = attrBinding; });
+				attrBinding.bindings = attrBinding.bindings.concat(bindings);
+			} else {
+				binder._bindings[attrName] = attrBinding;
+			}
+
+			_.each(bindings, function(binding) {
+				binder._indexBinding(binding);
+				binder._callBindersHook('init', binding, binding.boundEls);
 			});
+			binder._configureBindingsTriggers('on', bindings);
+			binder._configureBindingsEvents('on', bindings);
+			binder._updateNestedModelsListeners();
+
+			switch (binder._options.initialCopyDirection) {
+				case CONST.ModelToView:
+					values = binder._fetchViewValuesFromModel(attrName);
+					_.each(bindings, function(binding) { binder._copyModelToElements(binding, values[attrName]); });
+					break;
+				case CONST.ViewToModel:
+					binder._copyViewToModel(binder._getBindingsReads(bindings));
+					break;
+				default: // do nothing
+			}
+
+			// validation error of attribute is displayed on new elements too
+			if (_.has(binder._validationErrors, attrName)) {
+				binder._toggleValidationError(attrName, binder._validationErrors[attrName]);
+			}
 
-			model.set(_.object(values), modelBinder._options.modelSetOptions);
+			if (binder._baseline) { binder._updateBaseline(); }
+			// elements of already dirty attribute
+			_.each(bindings, function(binding) { binder._toggleDirtyClass(binding, !!attrBinding.isDirty); });
 
-			return modelBinder;
+			return binder;
+		},
+
+		// Removes all element bindings of model attribute, or only ones with given selector
+		removeBinding: function (attrName, selector) {
+			var attrBinding = this._bindings[attrName];
+
+			if (!attrBinding) { return this; }
+
+			return this._removeBindings(attrName, _.filter(attrBinding.bindings, function(binding) {
+				return selector === undefined || binding.selector === selector;
+			}));
+		},
+
+		_removeBindings: function (attrName, removed) {
+			var binder = this,
+				attrBinding = binder._bindings[attrName],
+				hasError = _.has(binder._validationErrors, attrName);
+
+			if (removed.length === 0) { return binder; }
+
+			// removed elements should not display validation error
+			if (hasError) { binder._toggleValidationError(attrName); }
+
+			binder._flushScheduledReads(removed);
+			binder._cancelPendingValues(removed);
+			binder._configureBindingsTriggers('off', removed);
+			binder._configureBindingsEvents('off', removed);
+			_.each(removed, function(binding) {
+				binder._callBindersHook('destroy', binding, binding.boundEls);
+				binder._forgetRenderedValues(binding, binding.boundEls);
+				binder._unindexBinding(binding);
+				binder._toggleDirtyClass(binding, false);
+			});
+
+			attrBinding.bindings = _.difference(attrBinding.bindings, removed);
+			if (attrBinding.bindings.length === 0) {
+				delete binder._bindings[attrName];
+				if (binder._baseline) { binder._updateBaseline(); }
+			}
+			binder._updateNestedModelsListeners();
+
+			if (hasError) { binder._toggleValidationError(attrName, binder._validationErrors[attrName]); }
+
+			return binder;
 		},
 
 		bind: function (model, rootEl, bindings, options) {
@@ -261,11 +907,20 @@
 			this.unbind();
 
 			rootEl = rootEl instanceof $ ? rootEl : $(rootEl);
-			options = this._initOptions(options || {});
+			options = this._options = this._initOptions(options || {});
+			_.extend(this.binders, options.binders);
+			_.extend(this.filters, options.filters);
+			if (_.isString(options.defaults.filters)) {
+				options.defaults.filters = this._resolveFilterChain(options.defaults.filters, 'default filters');
+			}
+			options.conflict = this._resolveConflictOption(options.conflict);
 
 			var isEmpty = _.isEmpty(bindings);
 			if (isEmpty || options.useDefaults) {
-				var defaultBindings = ModelBinder.createDefaultBindings(rootEl, options.defaults);
+				var createDefaultBindings = function(rootEl) { return ModelBinder.createDefaultBindings(rootEl, options.defaults); },
+					defaultBindings = createDefaultBindings(rootEl);
+				// default bindings of elements added later are created by refresh()
+				_.each(defaultBindings, function(binding) { binding.source = createDefaultBindings; });
 				bindings = isEmpty ? defaultBindings : ModelBinder.mergeBindings(defaultBindings, bindings);
 			}
 			bindings = this._initElBindings(this._initAttrBindings(bindings), rootEl);
@@ -273,29 +928,209 @@
 			this._model    = model;
 			this._rootEl   = rootEl;
 			this._bindings = bindings;
-			this._options  = options;
+			this._bindingsSources = _.uniq(_.compact(_.pluck(this._getBindingsForAttributes([]), 'source')));
+			this._computed = utils.updateValues(options.computed, function(computed) {
+				return _.isFunction(computed) ? { get: computed } : _.clone(computed);
+			});
+			if (!_.has(this._computed, dirtyAttr)) {
+				this._computed[dirtyAttr] = { get: this.isDirty };
+			}
+
+			_.each(this._getBindingsForAttributes([]), function(binding) {
+				this._indexBinding(binding);
+				this._callBindersHook('init', binding, binding.boundEls);
+			}, this);
 
 			this._bindModelToView();
 			this._bindViewToModel();
 
+			if (options.live) {
+				this._observeRootEl();
+			}
+
 			switch (this._options.initialCopyDirection) {
 				case CONST.ModelToView: this.toView();  break;
 				case CONST.ViewToModel: this.toModel(); break;
 				default: // do nothing
 			}
 
+			this.markClean();
+			this.trigger('bind', model, rootEl);
+
 			return this;
 		},
 
-		unbind: function () {
-			if (this._model)  { this._unbindModelToView(); }
-			if (this._rootEl) { this._unbindViewToModel(); }
-			this._bindings = {};
+		// Replaces bound model, keeping already resolved bindings and elements.
+		// Options:
+		//  - keepViewValues - do not copy values between the new model and view, so view shows the current values
+		setModel: function (model, options) {
+			var binder = this,
+				previous = binder._model;
+
+			if (!model)    { binder._throwException('model must be specified'); }
+			if (!previous) { binder._throwException('setModel() can be called for bound ModelBinder only'); }
+			if (model === previous) { return binder; }
+
+			// values read from view before belong to the previous model
+			binder._flushScheduledReads();
+			binder._cancelPendingValues();
+			binder._cancelScheduledWrites();
+			binder._unbindModelToView();
+
+			binder._model = model;
+			binder._bindModelToView();
+
+			if (!(options && options.keepViewValues)) {
+				switch (binder._options.initialCopyDirection) {
+					case CONST.ModelToView: binder.toView();  break;
+					case CONST.ViewToModel: binder.toModel(); break;
+					default: // do nothing
+				}
+			}
 
-			return this;
+			binder.markClean();
+			binder.trigger('setModel', model, previous);
+
+			return binder;
 		},
 
-		_initOptions: function (options) {
+		// Re-resolves bindings selectors. Newly found elements get current model values.
+		// Elements of bindings without selector are released, when they are not under the rootEl anymore.
+		// Generated bindings (default ones and parsed from declarations) are created for new elements too.
+		refresh: function () {
+			var binder = this,
+				errors = binder._validationErrors,
+				unresolved = [],
+				emptied = [];
+
+			if (!binder._model) { return binder; }
+
+			// validation errors are displayed again on actual elements
+			_.each(_.keys(errors), function(attrName) { binder._toggleValidationError(attrName); });
+
+			_.each(binder._getBindingsForAttributes([]), function(binding) {
+				var attrName = binding.parent.modelAttr,
+					foundEls = _.has(binding, 'selector')
+						? binder._findBoundElements(binding, binder._rootEl)
+						: binding.boundEls.filter(function() { return binder._isUnderRootEl(this); }),
+					removedEls = binding.boundEls.not(foundEls),
+					addedEls = foundEls.not(binding.boundEls);
+
+				if (foundEls.length === 0) {
+					// binding without selector can't find elements again
+					if (!_.has(binding, 'selector')) {
+						emptied.push(binding);
+						return;
+					}
+					// binding keeps its elements, other bindings are refreshed anyway
+					if (!binder._options.live) {
+						unresolved.push(binding.selector);
+						return;
+					}
+				}
+
+				binder._callBindersHook('destroy', binding, removedEls);
+				binder._forgetRenderedValues(binding, removedEls);
+				binder._toggleDirtyClass(binding, false, removedEls);
+
+				binder._unindexBinding(binding);
+				binding.boundEls = foundEls;
+				binder._indexBinding(binding);
+
+				if (addedEls.length > 0) {
+					binder._callBindersHook('init', binding, addedEls);
+					binder._copyModelToElements(binding, binder._fetchViewValuesFromModel(attrName)[attrName], addedEls);
+					binder._toggleDirtyClass(binding, !!binding.parent.isDirty, addedEls);
+				}
+			});
+
+			_.each(errors, function(message, attrName) { binder._toggleValidationError(attrName, message); });
+
+			_.each(_.groupBy(emptied, function(binding) { return binding.parent.modelAttr; }), function(bindings, attrName) {
+				binder._removeBindings(attrName, bindings);
+			});
+			binder._addGeneratedBindings();
+
+			if (unresolved.length > 0) {
+				binder._throwException('Bad binding found. No elements returned for binding selector ' + unresolved.join(', '));
+			}
+
+			return binder;
+		},
+
+		unbind: function () {
+			var model = this._model;
+
+			this._disconnectRootEl();
+			this._cancelScheduledWrites();
+			if (this._model)  { this._flushScheduledReads(); }
+			this._cancelPendingValues();
+			if (this._model)  { this._unbindModelToView(); }
+			if (this._rootEl) { this._unbindViewToModel(); }
+			_.each(this._getBindingsForAttributes([]), function(binding) {
+				this._callBindersHook('destroy', binding, binding.boundEls);
+				this._forgetRenderedValues(binding, binding.boundEls);
+				this._unindexBinding(binding);
+				this._toggleDirtyClass(binding, false);
+			}, this);
+			this._bindings = {};
+			this._bindingsSources = [];
+			this._baseline = null;
+
+			if (model) { this.trigger('unbind', model); }
+
+			return this;
+		},
+
+		// Dirty tracking. Bound attributes (and dependencies of bound computed ones) are compared
+		// with their values at bind(), model's 'sync' or the last markClean().
+
+		isDirty: function() {
+			return this.dirtyAttributes().length > 0;
+		},
+
+		dirtyAttributes: function() {
+			var binder = this,
+				baseline = binder._baseline;
+
+			if (!baseline) { return []; }
+
+			return _.filter(_.keys(baseline), function(attrName) {
+				return !_.isEqual(binder._getModelValue(attrName), baseline[attrName]);
+			});
+		},
+
+		// Takes current values of bound attributes as a new baseline
+		markClean: function() {
+			if (!this._model) { return this; }
+			this._baseline = null;
+			return this._updateBaseline();
+		},
+
+		// Sets baseline values of given attributes (all by default) back to the model, and renders them
+		reset: function() {
+			var binder = this,
+				baseline = binder._baseline,
+				attrs;
+
+			if (!baseline) { return binder; }
+
+			attrs = arguments.length === 0 ? _.keys(baseline) : _.filter(
+				_.uniq(_.flatten(_.map(utils.flattenArgs(arguments), binder._getTrackedAttrs))),
+				_.partial(_.has, baseline)
+			);
+			if (attrs.length === 0) { return binder; }
+
+			binder._setModelValues(_.map(attrs, function(attrName) {
+				return [ attrName, utils.cloneDeep(baseline[attrName]) ];
+			}));
+			// view can show values, which were not set to model, like invalid ones
+			binder.toView(attrs);
+
+			return binder._updateDirtyState();
+		},
+
+		_initOptions: function (options) {
 			options = $.extend(true, {}, defaultOptions, ModelBinder.options, options,
 				// constant:
 				{ modelSetOptions: { changeSource: 'ModelBinder' } }
@@ -306,317 +1141,1458 @@
 				options.changeTriggers = _.omit(options.changeTriggers, _.keys(defaultOptions.changeTriggers));
 			}
 
-			return options;
+			return options;
+		},
+
+		// Converts the input bindings, which might just be empty or strings, to binding objects
+		_initAttrBindings: function (srcBindings) {
+			var modelBinder = this;
+
+			function composeAttributeBindings(rawBindings, attrName) {
+				var config = {
+					modelAttr: attrName
+				};
+
+				config.bindings = _.map(
+					// TODO: check for allowed types
+					utils.ensureArray(_.isString(rawBindings) ? { selector: rawBindings } : rawBindings),
+					composeElementBinding,
+					config
+				);
+
+				return config;
+			}
+
+			function composeElementBinding(binding) {
+				binding = $.extend(true, {
+					parent: this, // context is attribute binding
+					filters: {
+						toView:  _.identity,
+						toModel: _.identity
+					},
+					forceSync: true,
+					// write values to view even if they were rendered already, for binders with side effects
+					alwaysUpdate: false
+				}, binding);
+
+				binding.id = _.uniqueId('binding');
+				// { elAttr: value } passed to binders last time, to be their previous values
+				binding.renderedValues = {};
+
+				if (!_.isObject(binding.elAttr)) {
+					binding.elAttr = _.object(
+						utils.ensureArray(binding.elAttr || 'value'),
+						utils.ensureArray(utils.resultMap(binding.elAttr, true))
+					);
+				}
+
+				var describe = 'binding of model attribute "' + this.modelAttr + '"',
+					attrBinding = this;
+
+				// event handlers, like 'on:click', are not bound to element attributes
+				binding.events = {};
+				_.each(_.keys(binding.elAttr), function(elAttr) {
+					if (elAttr.indexOf(eventPrefix) === 0) {
+						binding.events[elAttr.slice(eventPrefix.length)] = modelBinder._composeEventHandler(
+							binding.elAttr[elAttr] === true ? attrBinding.modelAttr : binding.elAttr[elAttr]
+						);
+						delete binding.elAttr[elAttr];
+					}
+				});
+
+				// filters chains, like 'trim | number'
+				if (_.isString(binding.filters)) {
+					binding.filters = modelBinder._resolveFilterChain(binding.filters, describe);
+				}
+				binding.elAttr = utils.updateValues(binding.elAttr, function(filter, elAttr) {
+					return _.isString(filter) ? modelBinder._resolveFilterChain(filter, describe + ', elAttr "' + elAttr + '"') : filter;
+				});
+
+				// own triggers replace global 'changeTriggers' for binding
+				if (binding.trigger) {
+					binding.trigger = _.isArray(binding.trigger) ? binding.trigger : _.compact(binding.trigger.split(/\s+/));
+				}
+
+				return binding;
+			}
+
+			return utils.updateValues(srcBindings, composeAttributeBindings, true);
+		},
+
+		// Handler is either function(event, $el, model) or model method name, optionally followed by arguments: 'increment:"count"'.
+		// Methods are called with given arguments only.
+		_composeEventHandler: function (handler) {
+			var modelBinder = this,
+				method;
+
+			if (_.isFunction(handler)) {
+				return function(event, $el) {
+					var model = modelBinder._model;
+					return handler.call(model, event, $el, model);
+				};
+			}
+
+			try {
+				method = utils.parseFilterChain(String(handler));
+				if (method.length > 1) {
+					throw 'single method is expected';
+				}
+				method = method[0];
+			} catch (message) {
+				modelBinder._throwException('Configuration error: ' + message + ' in event handler "' + handler + '"');
+				return $.noop;
+			}
+
+			return function() {
+				var model = modelBinder._model;
+				if (!_.isFunction(model[method.name])) {
+					return modelBinder._throwException('Model has no method "' + method.name + '" to handle event');
+				}
+				return model[method.name].apply(model, method.args);
+			};
+		},
+
+		_initElBindings: function (srcBindings, rootEl) {
+			var attrName, attrBinding, elBinding;
+
+			for (attrName in srcBindings) {
+				attrBinding = srcBindings[attrName];
+
+				for (var i = 0; i < attrBinding.bindings.length; i++) {
+					elBinding = attrBinding.bindings[i];
+					// allow to pre-define bound els. Useful if default pre-created bindings are used
+					if (elBinding.hasOwnProperty('boundEls')) { continue; }
+
+					this._initElBinding(elBinding, rootEl);
+				}
+			}
+
+			return srcBindings;
+		},
+
+		_initElBinding: function (elBinding, rootEl) {
+			var foundEls = this._findBoundElements(elBinding, rootEl);
+
+			// live bindings can be empty - elements can appear later
+			if (foundEls.length === 0 && !this._options.live) {
+				this._throwException('Bad binding found. No elements returned for binding selector ' + elBinding.selector);
+			} else {
+				elBinding.boundEls = foundEls;
+			}
+
+			return this;
+		},
+
+		// Calls 'init' or 'destroy' hook of binders used by element binding, for each of given elements
+		_callBindersHook: function (hook, elBinding, $elements) {
+			var binders = this.binders;
+
+			_.each(_.keys(elBinding.elAttr), function(elAttr) {
+				var binder = _.has(binders, elAttr) ? binders[elAttr] : undefined,
+					func = utils.getBinderHook(binder, hook);
+
+				if (!func) { return; }
+
+				$elements.each(function() {
+					func.call(binder, $(this), elBinding);
+				});
+			});
+
+			return this;
+		},
+
+		_findBoundElements: function (elBinding, rootEl) {
+			return elBinding.selector === ''
+				? rootEl
+				: $(elBinding.selector, rootEl);
+		},
+
+		// Live bindings:
+
+		_isUnderRootEl: function (el) {
+			var rootEl = this._rootEl[0];
+			return el === rootEl || $.contains(rootEl, el);
+		},
+
+		// Calls sources of generated bindings again and adds bindings of elements, which are not bound to their attributes yet
+		_addGeneratedBindings: function () {
+			var binder = this;
+
+			_.each(binder._bindingsSources, function(source) {
+				_.each(source(binder._rootEl), function(config, attrName) {
+					var boundEls = $(_.flatten(_.map(binder._bindings[attrName] ? binder._bindings[attrName].bindings : [], function(binding) {
+							return binding.boundEls.get();
+						}))),
+						added = _.filter(utils.ensureArray(config), function(elBinding) {
+							return $(elBinding.boundEls).not(boundEls).length > 0;
+						});
+
+					if (added.length > 0) {
+						binder.addBinding(attrName, added);
+					}
+				});
+			});
+
+			return binder;
+		},
+
+		_observeRootEl: function () {
+			var binder = this,
+				Observer = window.MutationObserver || window.WebKitMutationObserver;
+
+			// without observer, bindings can still be refreshed manually
+			if (!Observer) { return binder; }
+
+			binder._observer = new Observer(function(records) {
+				var isElementsChanged = _.some(records, function(record) {
+					return _.some(_.toArray(record.addedNodes).concat(_.toArray(record.removedNodes)), _.isElement);
+				});
+
+				if (isElementsChanged) {
+					binder.refresh();
+				}
+			});
+			binder._observer.observe(binder._rootEl[0], { childList: true, subtree: true });
+
+			return binder;
+		},
+
+		_disconnectRootEl: function () {
+			if (this._observer) {
+				this._observer.disconnect();
+				this._observer = undefined;
+			}
+			return this;
+		},
+
+		_bindModelToView: function () {
+			this._model.on('change', this._onModelChange, this);
+			this._model.on('invalid', this._onModelInvalid, this);
+			this._model.on('sync', this.markClean, this);
+			this._nestedModels = {};
+			this._updateNestedModelsListeners();
+			return this;
+		},
+
+		_unbindModelToView: function () {
+			this._clearValidationErrors();
+			this._model.off('change', this._onModelChange);
+			this._model.off('invalid', this._onModelInvalid);
+			this._model.off('sync', this.markClean);
+			_.each(this._nestedModels, function(listener) {
+				listener.model.off('change', listener.callback);
+			});
+			this._nestedModels = {};
+			this._model = undefined;
+
+			return this;
+		},
+
+		// Listens to models, nested in bound attributes (like 'innerModel' for 'innerModel.name' binding).
+		// Should be called each time when any of them can be replaced.
+		_updateNestedModelsListeners: function () {
+			var binder = this,
+				listeners = binder._nestedModels,
+				actualModels = {};
+
+			_.each(_.keys(binder._bindings), function(attrName) {
+				var path = utils.splitPath(attrName),
+					model = binder._model;
+
+				for (var i = 0; i < path.length - 1; i++) {
+					model = binder._readModelAttribute(model, path[i]);
+					if (!(model instanceof Backbone.Model)) { break; }
+					actualModels[path.slice(0, i + 1).join('.')] = model;
+				}
+			});
+
+			_.each(listeners, function(listener, prefix) {
+				if (actualModels[prefix] !== listener.model) {
+					listener.model.off('change', listener.callback);
+					delete listeners[prefix];
+				}
+			});
+
+			_.each(actualModels, function(model, prefix) {
+				if (!listeners[prefix]) {
+					listeners[prefix] = {
+						model: model,
+						callback: _.partial(binder._onNestedModelChange, prefix)
+					};
+					model.on('change', listeners[prefix].callback);
+				}
+			});
+
+			return binder;
+		},
+
+		_bindViewToModel: function () {
+			this._configureRootElEvents('on');
+			return this;
+		},
+
+		_unbindViewToModel: function () {
+			this._configureRootElEvents('off');
+			return this;
+		},
+
+		_configureRootElEvents: function(method) {
+			var $el = this._rootEl,
+				config = this._options.changeTriggers,
+				selector, event;
+
+			var args;
+			for (selector in config) {
+				event = config[selector];
+				args = [event, this._onViewChange];
+				if (!_.isEmpty(selector)) { args.splice(1, 0, selector); }
+				$el[method].apply($el, args);
+			}
+
+			this._configureAdaptersEvents(method);
+			this._configureBindingsTriggers(method);
+			this._configureBindingsEvents(method);
+
+			return this;
+		},
+
+		// Adapters' own change events
+		_configureAdaptersEvents: function(method) {
+			var binder = this,
+				$el = binder._rootEl;
+
+			if (method === 'on') {
+				binder._adaptersEvents = _.chain(adapters)
+					.filter(function(adapter) { return adapter.events; })
+					.map(function(adapter) {
+						var args = [ adapter.events, _.partial(binder._onAdapterEvent, adapter) ];
+						if (_.isString(adapter.match)) { args.splice(1, 0, adapter.match); }
+						return args;
+					})
+					.value();
+			}
+
+			_.each(binder._adaptersEvents, function(args) {
+				$el[method].apply($el, args);
+			});
+
+			if (method === 'off') {
+				binder._adaptersEvents = [];
+			}
+
+			return binder;
+		},
+
+		_onAdapterEvent: function (adapter, event) {
+			// event can bubble from adapter element's descendants, so the closest matching element is taken
+			var el = _.isString(adapter.match) ? event.currentTarget : _.find(
+				$(event.target).parents().addBack().get().reverse(),
+				function(el) { return utils.isAdapterMatched(adapter, $(el)); }
+			);
+
+			if (el && utils.findAdapter($(el)) === adapter) {
+				this._onElementChange(el);
+			}
+
+			return this;
+		},
+
+		_configureBindingsTriggers: function(method, bindings) {
+			var binder = this,
+				$el = binder._rootEl;
+
+			_.each(bindings || binder._getBindingsForAttributes([]), function(binding) {
+				if (!binding.trigger) { return; }
+
+				binding.handlers || (binding.handlers = {
+					trigger: _.partial(binder._onBindingTrigger, binding),
+					blur:    _.partial(binder._onBindingBlur, binding)
+				});
+
+				_.each([
+					[ binder._getTriggerEvents(binding).join(' '), binding.handlers.trigger ],
+					// pending writes should not be lost when user leaves element. Unlike 'blur', 'focusout' bubbles to rootEl
+					[ 'focusout', binding.handlers.blur ]
+				], function(args) {
+					if (!_.isEmpty(binding.selector)) { args.splice(1, 0, binding.selector); }
+					$el[method].apply($el, args);
+				});
+			});
+
+			return binder;
+		},
+
+		// 'on:event' handlers
+		_configureBindingsEvents: function(method, bindings) {
+			var binder = this,
+				$el = binder._rootEl;
+
+			_.each(bindings || binder._getBindingsForAttributes([]), function(binding) {
+				binding.eventHandlers || (binding.eventHandlers = utils.updateValues(binding.events, function(handler, name) {
+					return _.partial(binder._onBindingEvent, binding, name);
+				}));
+
+				_.each(binding.eventHandlers, function(handler, name) {
+					var args = [ _.has(triggerEvents, name) ? triggerEvents[name].event : name, handler ];
+					if (!_.isEmpty(binding.selector)) { args.splice(1, 0, binding.selector); }
+					$el[method].apply($el, args);
+				});
+			});
+
+			return binder;
+		},
+
+		_onBindingEvent: function (binding, name, event) {
+			// delegated by selector, currentTarget is the matched element. Otherwise event can bubble from bound element's descendants
+			var $el = _.isEmpty(binding.selector) ? $(event.target).closest(binding.boundEls) : $(event.currentTarget),
+				pseudo = triggerEvents[name];
+
+			if ($el.length > 0 && binding.boundEls.is($el) && (!pseudo || pseudo.filter(event))) {
+				binding.events[name](event, $el);
+			}
+
+			return this;
+		},
+
+		_getTriggerEvents: function(binding) {
+			return _.uniq(_.map(binding.trigger, function(name) {
+				return _.has(triggerEvents, name) ? triggerEvents[name].event : name;
+			}));
+		},
+
+		_isBindingTriggered: function(binding, event) {
+			return _.some(binding.trigger, function(name) {
+				var pseudo = triggerEvents[name];
+				return pseudo ? (pseudo.event === event.type && pseudo.filter(event)) : name === event.type;
+			});
+		},
+
+		// Find matching bindings:
+
+		// Attribute names are treated as paths: nested bindings are affected by changes of their ancestors and vice versa
+		_getBindingsForAttributes: function(keys) {
+			var binder = this;
+			return _.chain(binder._bindings)
+				.filter(function(attrBinding) {
+					return keys.length === 0 || _.some(keys, _.partial(utils.isPathRelated, attrBinding.modelAttr));
+				})
+				.pluck('bindings')
+				.flatten(true)
+				//.groupBy(function(binding) { return binding.parent.modelAttr; })
+				.value();
+		},
+
+		// Accepts element or jQuery object. Bindings are looked up in index, see _indexBinding
+		_getBindingsForElement: function(element) {
+			var indexKey = this._indexKey;
+			return _.uniq(_.flatten(_.map($(element).get(), function(el) {
+				return $.data(el, indexKey) || [];
+			}), true));
+		},
+
+		// Element bindings are indexed by their bound elements, to be found quickly on view changes.
+		// Bindings must be unindexed before their bound elements are changed.
+		_indexBinding: function(binding) {
+			var indexKey = this._indexKey;
+
+			$(binding.boundEls).each(function() {
+				var bindings = $.data(this, indexKey) || $.data(this, indexKey, []);
+				bindings.push(binding);
+			});
+
+			return this;
+		},
+
+		_unindexBinding: function(binding) {
+			var indexKey = this._indexKey;
+
+			$(binding.boundEls).each(function() {
+				var bindings = _.without($.data(this, indexKey) || [], binding);
+				if (bindings.length > 0) {
+					$.data(this, indexKey, bindings);
+				} else {
+					$.removeData(this, indexKey);
+				}
+			});
+
+			return this;
+		},
+
+		_onModelChange: function (model, options) {
+			var changedAttrs = _.keys(this._model.changedAttributes());
+
+			this._updateNestedModelsListeners();
+			// validated model has no errors at all
+			this._clearValidationErrors(options && options.validate ? undefined : changedAttrs);
+			this._scheduleToView(changedAttrs);
+			this._updateDirtyState(changedAttrs);
+			return this;
+		},
+
+		_onNestedModelChange: function (prefix, model) {
+			var binder = this,
+				keys = _.map(_.keys(model.changedAttributes()), function(attrName) {
+					return prefix + '.' + attrName;
+				}),
+				previousValues = {};
+
+			// outer models are not changing, so previous values are taken from the changed model itself
+			_.each(binder._getBindingsForAttributes(keys), function(binding) {
+				var attrName = binding.parent.modelAttr;
+				if (attrName.indexOf(prefix + '.') === 0) {
+					previousValues[attrName] = binder._readPreviousValue(model, utils.splitPath(attrName.slice(prefix.length + 1)));
+				}
+			});
+
+			binder._updateNestedModelsListeners();
+			binder._scheduleToView(keys, previousValues);
+			binder._updateDirtyState(keys);
+			return binder;
+		},
+
+		// Dirty tracking:
+
+		// Computed attributes are not evaluated for tracking - their known dependencies are tracked instead
+		_getTrackedAttrs: function (attrName) {
+			var computed = this._computed[utils.splitPath(attrName)[0]];
+			return computed ? (computed.dependencies || []) : [ attrName ];
+		},
+
+		// Takes baseline values of tracked attributes, which have none yet, and drops not tracked ones
+		_updateBaseline: function () {
+			var binder = this,
+				previous = binder._baseline || {},
+				attrs = _.uniq(_.flatten(_.map(_.keys(binder._bindings), binder._getTrackedAttrs)));
+
+			binder._baseline = _.object(attrs, _.map(attrs, function(attrName) {
+				return _.has(previous, attrName) ? previous[attrName] : utils.cloneDeep(binder._getModelValue(attrName));
+			}));
+
+			return binder._updateDirtyState();
+		},
+
+		// Re-checks attributes related to changed keys (all by default).
+		// Elements are updated only for attributes, which dirty state has changed.
+		_updateDirtyState: function (keys) {
+			var binder = this,
+				baseline = binder._baseline,
+				isChanged = false;
+
+			if (!baseline) { return binder; }
+
+			_.each(binder._bindings, function(attrBinding, attrName) {
+				var tracked = _.filter(binder._getTrackedAttrs(attrName), _.partial(_.has, baseline)),
+					isDirty;
+
+				if (keys && !_.some(tracked, function(trackedAttr) { return _.some(keys, _.partial(utils.isPathRelated, trackedAttr)); })) {
+					return;
+				}
+
+				isDirty = _.some(tracked, function(trackedAttr) {
+					return !_.isEqual(binder._getModelValue(trackedAttr), baseline[trackedAttr]);
+				});
+				if (isDirty === !!attrBinding.isDirty) { return; }
+
+				attrBinding.isDirty = isDirty;
+				isChanged = true;
+				_.each(attrBinding.bindings, function(binding) {
+					binder._toggleDirtyClass(binding, isDirty);
+				});
+			});
+
+			if (isChanged && _.has(binder._bindings, dirtyAttr)) {
+				binder._scheduleToView([ dirtyAttr ]);
+			}
+
+			return binder;
+		},
+
+		// Display only elements are not edited by user, so they are never marked. By default, all bound elements are updated
+		_toggleDirtyClass: function (binding, isDirty, $elements) {
+			var dirtyClass = this._options.dirtyClass;
+
+			if (dirtyClass && this._isBindingReadable(binding)) {
+				this._getEditableElements(binding).filter($elements || '*').toggleClass(dirtyClass, isDirty);
+			}
+
+			return this;
+		},
+
+		_onViewChange: function (event) {
+			return this._onElementChange(event.target);
+		},
+
+		_onElementChange: function (el) {
+			var binder = this;
+
+			// TODO: store trigger el in щио field, do not change el itself
+			if (el._isSetting) { return this; }
+			el._isSetting = true;
+			binder._copyViewToModel(_.chain(binder._getBindingsForElement(el))
+				// display only bindings have no value to read
+				.filter(function(binding) { return !binding.trigger && binder._isBindingReadable(binding); })
+				.map(function(binding) {
+					binding.parent.changedEl = el;
+					return [ binding, $(el) ];
+				})
+				.value()
+			);
+
+			el._isSetting = false;
+
+			return binder;
+		},
+
+		// Per-binding triggers:
+
+		_onBindingTrigger: function (binding, event) {
+			// when delegated by selector, currentTarget is the matched element
+			var $el = $(_.isEmpty(binding.selector) ? event.target : event.currentTarget);
+
+			if (binding.boundEls.is($el) && this._isBindingTriggered(binding, event)) {
+				this._scheduleRead(binding, $el);
+			}
+
+			return this;
+		},
+
+		_onBindingBlur: function (binding, event) {
+			// not delegated by selector, so it can be any element under the rootEl
+			if (_.isEmpty(binding.selector) && $(event.target).closest(binding.boundEls).length === 0) {
+				return this;
+			}
+			return this._flushRead(binding);
+		},
+
+		// Applies binding's 'debounce' or 'throttle' option, in milliseconds
+		_scheduleRead: function (binding, $el) {
+			var binder = this,
+				schedule = binding.schedule || (binding.schedule = {});
+
+			schedule.$el = $el;
+			binding.parent.changedEl = $el[0];
+
+			if (binding.debounce) {
+				clearTimeout(schedule.timer);
+				schedule.timer = setTimeout(function() { binder._flushRead(binding); }, binding.debounce);
+			} else if (binding.throttle) {
+				if (!schedule.timer) { binder._throttleRead(binding); }
+			} else {
+				binder._flushRead(binding);
+			}
+
+			return binder;
+		},
+
+		// Reads immediately, and then ignores triggers for a given time - except of the last one, which is read after it.
+		_throttleRead: function (binding) {
+			var binder = this,
+				schedule = binding.schedule;
+
+			binder._flushRead(binding);
+			schedule.timer = setTimeout(function() {
+				schedule.timer = null;
+				if (schedule.$el) { binder._throttleRead(binding); }
+			}, binding.throttle);
+
+			return binder;
+		},
+
+		// Reads scheduled element, if any
+		_flushRead: function (binding) {
+			var schedule = binding.schedule,
+				$el = schedule && schedule.$el;
+
+			if (!$el) { return this; }
+
+			schedule.$el = null;
+			if (binding.debounce) {
+				clearTimeout(schedule.timer);
+				schedule.timer = null;
+			}
+
+			return this._copyViewToModel([ [ binding, $el ] ]);
+		},
+
+		_flushScheduledReads: function (bindings) {
+			var binder = this;
+
+			_.each(bindings || binder._getBindingsForAttributes([]), function(binding) {
+				binder._flushRead(binding);
+				if (binding.schedule) {
+					clearTimeout(binding.schedule.timer);
+					binding.schedule.timer = null;
+				}
+			});
+
+			return binder;
+		},
+
+		_getElementValue: function ($el, reader) {
+			if (reader) {
+				if (_.isString(reader)) {
+					return $el.attr(reader);
+				} else if (_.isFunction(reader)) {
+					return reader.call(this, $el);
+				} else if (_.isBoolean(reader)) {
+					if (!this._isElementEditable($el)) {
+						return this._throwException('Not editable element is forced to be read');
+					}
+					// otherwise do nothing, drop to 'switch' below. Acts like 'force read'.
+				} else {
+					return this._throwException('Unsupported type of option "read"');
+				}
+			}
+
+			var adapter = utils.findAdapter($el);
+			return adapter && adapter.read ? adapter.read($el) : undefined;
+		},
+
+		_isBindingReadable: function (elBinding) {
+			return elBinding.read || this._isBindingEditable(elBinding);
+		},
+
+		_isBindingEditable: function (elBinding) {
+			return _.intersection(['value', 'text', 'html'], _.keys(elBinding.elAttr)).length > 0;
+		},
+
+		_isElementEditable: function ($el) {
+			var adapter = utils.findAdapter($el);
+			return !!(adapter && adapter.read);
+		},
+
+		_isBindingRadioGroup: function (elBinding) {
+			var elements = elBinding.boundEls;
+			return elements.filter('input:radio').length === elements.length;
+		},
+
+		// Several checkboxes, or a single one bound to array attribute, are mapped to array of checked values
+		_isBindingCheckboxGroup: function (elBinding) {
+			var elements = elBinding.boundEls;
+			return elements.filter('input:checkbox').length === elements.length
+				&& (elements.length > 1 || _.isArray(this._getModelValue(elBinding.parent.modelAttr)));
+		},
+
+		_getCheckboxGroupValue: function (elBinding) {
+			return _.pluck(elBinding.boundEls.filter(':checked'), 'value');
+		},
+
+		// Returns [binding, $element] pairs to read all readable elements of bindings
+		_getBindingsReads: function (bindings) {
+			var binder = this;
+
+			return _.chain(bindings)
+				.filter(binder._isBindingReadable)
+				.map(function(binding) {
+					return _.map(binder._getReadableElements(binding), function(element) {
+						return [ binding, $(element) ];
+					});
+				})
+				.flatten(true)
+				.value();
+		},
+
+		// Only checked radio is read from radio group.
+		_getReadableElements: function (elBinding) {
+			var elements = elBinding.boundEls;
+
+			if (this._isBindingRadioGroup(elBinding)) {
+				return elements.filter(':checked');
+			}
+
+			// the whole group is read at once
+			if (this._isBindingCheckboxGroup(elBinding)) {
+				return elements.first();
+			}
+
+			return this._getEditableElements(elBinding);
+		},
+
+		// Not editable elements are treated as editable only if binding explicitly says how to read them.
+		_getEditableElements: function (elBinding) {
+			var binder = this,
+				elements = elBinding.boundEls;
+
+			return _.has(elBinding, 'read') ? elements : elements.filter(function() {
+				return binder._isElementEditable($(this));
+			});
+		},
+
+		// Validation errors:
+
+		_onModelInvalid: function (model, error) {
+			var binder = this,
+				options = binder._options.validation,
+				errors;
+
+			if (!options) { return binder; }
+
+			errors = binder._parseValidationError(error);
+
+			// each validation checks the whole model, so previous errors are not actual anymore
+			binder._clearValidationErrors();
+			_.each(errors, function(message, attrName) {
+				binder._toggleValidationError(attrName, message);
+			});
+			binder._validationErrors = errors;
+
+			if (options.policy === 'revert' && !_.isEmpty(errors)) {
+				binder.toView(_.keys(errors));
+			}
+
+			return binder;
+		},
+
+		// Normalizes value returned from Model#validate to hash { attrName: message }.
+		// Recognized are hash itself, array of { attr (or name), message } objects, and any other value -
+		// which is related to attributes being set by binder at the moment.
+		_parseValidationError: function (error) {
+			if (_.isArray(error) && _.every(error, _.isObject)) {
+				return _.object(_.map(error, function(item) {
+					return [ item.attr || item.name, item.message ];
+				}));
+			}
+
+			if (_.isObject(error) && !_.isArray(error)) {
+				return _.clone(error);
+			}
+
+			return _.object(this._settingAttrs, utils.resultMap(this._settingAttrs, error));
+		},
+
+		// Without attribute names clears all errors
+		_clearValidationErrors: function (attrNames) {
+			var binder = this,
+				errors = binder._validationErrors;
+
+			_.each(_.keys(errors), function(errorAttr) {
+				if (!attrNames || _.some(attrNames, _.partial(utils.isPathRelated, errorAttr))) {
+					binder._toggleValidationError(errorAttr);
+					delete errors[errorAttr];
+				}
+			});
+
+			return binder;
+		},
+
+		// Without message clears error
+		_toggleValidationError: function (attrName, message) {
+			var binder = this,
+				options = binder._options.validation,
+				isInvalid = message !== undefined,
+				elements;
+
+			if (!options) { return binder; }
+
+			elements = $(_.chain(binder._getBindingsForAttributes([attrName]))
+				.filter(binder._isBindingReadable)
+				.map(function(binding) { return binder._getEditableElements(binding).get(); })
+				.flatten(true)
+				.value()
+			);
+
+			elements.toggleClass(options.errorClass, isInvalid);
+
+			if (options.ariaInvalid) {
+				if (isInvalid) {
+					elements.attr('aria-invalid', 'true');
+				} else {
+					elements.removeAttr('aria-invalid');
+				}
+			}
+
+			binder._getValidationMessageTarget(attrName, elements)
+				.text(isInvalid ? utils.ensureArray(message).join(', ') : '');
+
+			return binder;
+		},
+
+		_getValidationMessageTarget: function (attrName, $boundEls) {
+			var target = this._options.validation.messageTarget;
+
+			if (_.isFunction(target)) {
+				return $(target.call(this, attrName, $boundEls));
+			}
+			if (_.isString(target)) {
+				return $('[' + target + '="' + attrName + '"]', this._rootEl);
+			}
+			return $();
+		},
+
+		// ModelToView direction handlers:
+
+		// Previous values are { attrName: value }, to be used instead of model's previous values
+		_copyModelToView: function(keys, previousValues) {
+			var modelBinder = this,
+				bindings    = modelBinder._getBindingsForAttributes(
+					keys.length > 0 ? keys.concat(modelBinder._getDependentComputedAttrs(keys)) : keys
+				),
+				values      = modelBinder._fetchViewValuesFromModel(_.uniq(_.pluck(_.pluck(bindings, 'parent'), 'modelAttr')));
+
+			_.each(bindings, function(binding) {
+				var attrName = binding.parent.modelAttr,
+					attrValues = values[attrName];
+
+				if (_.has(previousValues, attrName)) {
+					attrValues = [ attrValues[0], previousValues[attrName] ];
+				}
+				modelBinder._copyModelToElements(binding, attrValues);
+			});
+
+			return modelBinder;
+		},
+
+		// With 'batchUpdates' option, changed attributes are collected and rendered by flush() later. Otherwise - immediately.
+		// Previous values are { attrName: value }, to be used instead of model's previous values
+		_scheduleToView: function(keys, previousValues) {
+			var binder = this,
+				delay = binder._options.batchUpdates,
+				batch = binder._viewBatch;
+
+			previousValues = previousValues || {};
+
+			if (!delay) {
+				return binder._copyModelToView(keys, previousValues);
+			}
+
+			if (!batch) {
+				batch = binder._viewBatch = { keys: [], previous: {}, isAll: false, cancel: utils.schedule(binder.flush, delay) };
+			}
+
+			batch.isAll = batch.isAll || keys.length === 0;
+			batch.keys = _.union(batch.keys, keys);
+
+			// view shows values from before the first change in batch.
+			// Computed attributes keep their rendered values themselves.
+			_.each(binder._getBindingsForAttributes(keys), function(binding) {
+				var attrName = binding.parent.modelAttr;
+				if (!_.has(batch.previous, attrName) && !_.has(binder._computed, utils.splitPath(attrName)[0])) {
+					batch.previous[attrName] = _.has(previousValues, attrName) ? previousValues[attrName] : binder._getModelValue(attrName, true);
+				}
+			});
+
+			return binder;
+		},
+
+		_cancelScheduledWrites: function() {
+			if (this._viewBatch) {
+				this._viewBatch.cancel();
+				this._viewBatch = null;
+			}
+			return this;
+		},
+
+		_fetchViewValuesFromModel: function() {
+			var modelBinder = this,
+				keys        = utils.flattenArgs(arguments);
+
+			return _.object(
+				keys,
+				_.map(keys, function(key) {
+					return [ modelBinder._getModelValue(key), modelBinder._getModelValue(key, true) ];
+				})
+			);
+		},
+
+		_getModelValue: function(attrName, previous) {
+			var path = utils.splitPath(attrName),
+				target;
+
+			if (_.has(this._computed, path[0])) {
+				return utils.getByPath(this._getComputedValue(path[0], previous), path.slice(1));
+			}
+
+			target = this._resolveModelPath(attrName);
+			return utils.getByPath(
+				this._readModelAttribute(target.model, target.path[0], previous),
+				target.path.slice(1)
+			);
+		},
+
+		_readModelAttribute: function(model, attrName, previous) {
+			if (previous) {
+				return model.previous(attrName);
+			}
+			return this._options.forceGet ? model.get(attrName) : model.attributes[attrName];
+		},
+
+		// Walks through Backbone models, nested in each other, while it is possible.
+		// Returns the innermost model and the rest of path, pointing to value within that model.
+		// Outer models are walked by their current values: only the innermost one is changing, when its attribute changes.
+		_resolveModelPath: function(attrName) {
+			var model = this._model,
+				path  = utils.splitPath(attrName),
+				nested;
+
+			while (path.length > 1) {
+				nested = this._readModelAttribute(model, path[0]);
+				if (!(nested instanceof Backbone.Model)) { break; }
+				model = nested;
+				path = path.slice(1);
+			}
+
+			return { model: model, path: path };
+		},
+
+		// Previous value of path within given model. Models, nested deeper, are not changing, so their current values are read.
+		_readPreviousValue: function(model, path) {
+			var value = model.previous(path[0]);
+
+			path = path.slice(1);
+			while (path.length > 0 && value instanceof Backbone.Model) {
+				value = this._readModelAttribute(value, path[0]);
+				path = path.slice(1);
+			}
+
+			return utils.getByPath(value, path);
+		},
+
+		// By default, all bound elements are updated
+		_copyModelToElements: function(binding, values, $elements) {
+			var modelBinder = this;
+
+			modelBinder._whenResolved(
+				CONST.ModelToView,
+				[ binding ],
+				[ modelBinder._resolveViewAttributes(modelBinder._composeViewAttributesForBinding(binding, values)) ],
+				function(valuesConfigs) {
+					var event = _.extend(
+						modelBinder._composeFlowEvent(binding, $elements || binding.boundEls, values[0], valuesConfigs[0]),
+						{ previous: values[1] }
+					);
+
+					if (modelBinder._triggerCancelable('beforeToView', event)) {
+						modelBinder._updateView(event.$elements, valuesConfigs[0], binding);
+						modelBinder.trigger('toView', event);
+					}
+				}
+			);
+
+			return modelBinder;
+		},
+
+		// Only the current value is converted - binders get the value rendered last time as previous one
+		_composeViewAttributesForBinding: function(binding, values) {
+			var modelBinder = this;
+
+			return utils.updateValues(binding.elAttr, function(filter, attribute) {
+				return modelBinder._getConvertedValue(CONST.ModelToView, binding, attribute, values[0]);
+			});
+		},
+
+		// Values, already rendered to elements by the binding, are not written again.
+		// Element values are compared with what elements hold, as users and scripts change them without events.
+		_updateView: function($element, valuesConfig, binding) {
+			var modelBinder = this,
+				binders = modelBinder.binders,
+				stats = modelBinder._stats;
+
+			_.each(valuesConfig, function(values, elAttr) {
+				var binder, update, context, namespaced, value;
+
+				if (_.has(binders, elAttr)) {
+					binder = binders[elAttr];
+					update = utils.getBinderHook(binder, 'update');
+					context = _.isFunction(binder) ? binders : binder;
+					value = values;
+					values = [ value, binding.renderedValues[elAttr] ];
+					binding.renderedValues[elAttr] = utils.cloneDeep(value);
+				} else {
+					// namespaces and attributes get the value only
+					namespaced = utils.getNamespaceHandler(elAttr);
+					update = namespaced[0];
+					value = values;
+					values = [ namespaced[1], values ];
+				}
+
+				if (!update) { return; }
+
+				$element.each(function(index) {
+					var $el = $element.eq(index);
+
+					if (!binding.alwaysUpdate && modelBinder._isValueRendered(binding, elAttr, $el, value)) {
+						stats.skippedWrites++;
+						return;
+					}
+					stats.writes++;
+					update.apply(context, [$el].concat(values));
+					modelBinder._rememberRenderedValue(binding, elAttr, $el, value);
+				});
+			});
+
+			return modelBinder;
 		},
 
-		// Converts the input bindings, which might just be empty or strings, to binding objects
-		_initAttrBindings: function (srcBindings) {
+		// Whether the same value was rendered to the element by the binding last time, and element still shows it
+		_isValueRendered: function(binding, elAttr, $el, value) {
+			var rendered = $.data($el[0], renderedDataKey),
+				key = binding.id + ' ' + elAttr;
 
-			function composeAttributeBindings(rawBindings, attrName) {
-				var config = {
-					modelAttr: attrName
-				};
+			return !!rendered && _.has(rendered, key)
+				&& _.isEqual(rendered[key].value, value)
+				&& (elAttr !== 'value' || _.isEqual(rendered[key].shown, this._getElementValue($el)));
+		},
 
-				config.bindings = _.map(
-					// TODO: check for allowed types
-					utils.ensureArray(_.isString(rawBindings) ? { selector: rawBindings } : rawBindings),
-					composeElementBinding,
-					config
-				);
+		// Element value is stored as read back, since adapters may write values in another form, like numbers as strings
+		_rememberRenderedValue: function(binding, elAttr, $el, value) {
+			var rendered = $.data($el[0], renderedDataKey) || $.data($el[0], renderedDataKey, {});
 
-				return config;
-			}
+			rendered[binding.id + ' ' + elAttr] = {
+				value: utils.cloneDeep(value),
+				shown: elAttr === 'value' ? utils.cloneDeep(this._getElementValue($el)) : undefined
+			};
+			return this;
+		},
 
-			function composeElementBinding(binding) {
-				binding = $.extend(true, {
-					parent: this, // context is attribute binding
-					filters: {
-						toView:  _.identity,
-						toModel: _.identity
-					},
-					forceSync: true
-				}, binding);
+		_forgetRenderedValues: function(binding, $elements) {
+			var keys = _.map(_.keys(binding.elAttr), function(elAttr) { return binding.id + ' ' + elAttr; });
 
-				if (!_.isObject(binding.elAttr)) {
-					binding.elAttr = _.object(
-						utils.ensureArray(binding.elAttr || 'value'),
-						utils.ensureArray(utils.resultMap(binding.elAttr, true))
-					);
+			$elements.each(function() {
+				var rendered = $.data(this, renderedDataKey);
+				if (rendered) {
+					_.each(keys, function(key) { delete rendered[key]; });
 				}
-				return binding;
-			}
+			});
 
-			return utils.updateValues(srcBindings, composeAttributeBindings, true);
+			return this;
 		},
 
-		_initElBindings: function (srcBindings, rootEl) {
-			var attrName, attrBinding, elBinding, foundEls;
+		// ViewToModel direction handlers:
 
-			for (attrName in srcBindings) {
-				attrBinding = srcBindings[attrName];
+		// Returns raw element value, not converted yet
+		_fetchModelValueFromView: function(binding, $element) {
+			var modelBinder = this;
 
-				for (var i = 0; i < attrBinding.bindings.length; i++) {
-					elBinding = attrBinding.bindings[i];
-					// allow to pre-define bound els. Useful if default pre-created bindings are used
-					if (elBinding.hasOwnProperty('boundEls')) { continue; }
+			// user has changed element, so it doesn't display rendered value anymore
+			modelBinder._forgetRenderedValues(binding, binding.boundEls);
 
-					foundEls = elBinding.selector === ''
-						? rootEl
-						: $(elBinding.selector, rootEl);
+			return !binding.read && modelBinder._isBindingCheckboxGroup(binding)
+				? modelBinder._getCheckboxGroupValue(binding)
+				: modelBinder._getElementValue($element, binding.read);
+		},
 
-					// TODO: allow empty 'dynamic' bindings?
-					if (foundEls.length === 0) {
-						this._throwException('Bad binding found. No elements returned for binding selector ' + elBinding.selector);
-					} else {
-						elBinding.boundEls = foundEls;
-					}
+		// Accepts [binding, $element] pairs
+		_copyViewToModel: function(reads) {
+			var modelBinder = this,
+				rawValues = _.map(reads, utils.arrayToArgs(modelBinder._fetchModelValueFromView));
+
+			modelBinder._whenResolved(
+				CONST.ViewToModel,
+				_.map(reads, _.first),
+				_.map(reads, function(read, index) {
+					var binding = read[0];
+					return modelBinder._getConvertedValue(CONST.ViewToModel, binding, _.isString(binding.read) ? binding.read : null, rawValues[index]);
+				}),
+				function(values, bindings, indexes) {
+					var events = _.filter(_.map(indexes, function(readIndex, index) {
+						return modelBinder._composeFlowEvent(bindings[index], reads[readIndex][1], rawValues[readIndex], values[index]);
+					}), _.partial(modelBinder._triggerCancelable, 'beforeToModel'));
+
+					var setAttrs = modelBinder._setModelValues(modelBinder._resolveConflicts(events));
+
+					// values rejected by model validation are not reported
+					_.each(events, function(event) {
+						if (_.contains(setAttrs, event.attr)) { modelBinder.trigger('toModel', event); }
+					});
 				}
-			}
+			);
 
-			return srcBindings;
+			return modelBinder;
 		},
 
-		_bindModelToView: function () {
-			this._model.on('change', this._onModelChange, this);
-			return this;
-		},
+		// Accepts 'toModel' events, returns [attrName, value] pairs - single one per attribute
+		_resolveConflicts: function(events) {
+			var modelBinder = this;
 
-		_unbindModelToView: function () {
-			this._model.off('change', this._onModelChange);
-			this._model = undefined;
+			return _.map(_.groupBy(events, 'attr'), function(group, attrName) {
+				var values = _.pluck(group, 'converted');
 
-			return this;
-		},
+				// compare deeply, as multi-value bindings return arrays
+				if (_.every(values, function(value) { return _.isEqual(value, values[0]); })) {
+					return [ attrName, values[0] ];
+				}
 
-		_bindViewToModel: function () {
-			this._configureRootElEvents('on');
-			return this;
+				return [ attrName, modelBinder._resolveConflict(attrName, group) ];
+			});
 		},
 
-		_unbindViewToModel: function () {
-			this._configureRootElEvents('off');
-			return this;
+		_resolveConflict: function(attrName, events) {
+			var modelBinder = this,
+				conflict = modelBinder._options.conflict,
+				strategy = _.isString(conflict) || _.isFunction(conflict) ? conflict : (conflict[attrName] || 'error'),
+				values = _.pluck(events, 'converted'),
+				changedEl, changed;
+
+			if (_.isFunction(strategy)) {
+				return strategy.call(modelBinder, values, attrName, modelBinder._model);
+			}
+
+			switch (strategy) {
+				case 'first':
+					return values[0];
+
+				case 'lastChanged':
+					changedEl = modelBinder._bindings[attrName] && modelBinder._bindings[attrName].changedEl;
+					changed = _.filter(events, function(event) { return changedEl && event.$elements.is(changedEl); });
+					return (changed.length > 0 ? _.last(changed) : events[0]).converted;
+
+				default: // 'error'
+					modelBinder._throwException([
+						'Configuration error: several bindings returns different value for the same model attribute.\n',
+						'Model attribute: ', attrName, '\n',
+						'Values: ', values.join(', '), '\n'
+					].join(''));
+					return _.last(values);
+			}
 		},
 
-		_configureRootElEvents: function(method) {
-			var $el = this._rootEl,
-				config = this._options.changeTriggers,
-				selector, event;
+		// Unknown strategies are reported at bind(), 'error' is used instead of them
+		_resolveConflictOption: function(conflict) {
+			var modelBinder = this;
 
-			var args;
-			for (selector in config) {
-				event = config[selector];
-				args = [event, this._onViewChange];
-				if (!_.isEmpty(selector)) { args.splice(1, 0, selector); }
-				$el[method].apply($el, args);
+			function resolveStrategy(strategy, attrName) {
+				if (_.isFunction(strategy) || _.contains(conflictStrategies, strategy)) {
+					return strategy;
+				}
+				modelBinder._throwException('Configuration error: unknown conflict strategy "' + strategy + '"'
+					+ (attrName ? ' for model attribute "' + attrName + '"' : ''));
+				return 'error';
 			}
 
-			return this;
+			return _.isString(conflict) || _.isFunction(conflict) ? resolveStrategy(conflict) : utils.updateValues(conflict, resolveStrategy);
 		},
 
-		// Find matching bindings:
+		// Sets [attrName, value] pairs to model at once. Returns names of attributes, which were set successfully
+		_setModelValues: function(values) {
+			var modelBinder = this,
+				setAttrs = [];
 
-		_getBindingsForAttributes: function(keys) {
-			var binder = this;
-			return _.chain(binder._bindings)
-				[keys.length === 0 ? 'identity' : 'pick'](keys)
-				.pluck('bindings')
-				.flatten(true)
-				//.groupBy(function(binding) { return binding.parent.modelAttr; })
-				.value();
-		},
+			// remember attributes being set, to relate validation errors to them
+			modelBinder._settingAttrs = _.map(values, _.first);
 
-		_getBindingsForElement: function(element) {
-			var binder = this;
-			return _.chain(binder._bindings)
-				.pluck('bindings')
-				.flatten(true)
-				.filter(function(binding) { return binding.boundEls.is(element); })
-				//.groupBy(function(binding) { return binding.parent.modelAttr; })
-				.value();
+			_.each(modelBinder._composeModelAttributes(values), function(target) {
+				var setOptions = modelBinder._options.modelSetOptions,
+					isValid = target.model.set(target.attrs, setOptions) !== false;
+
+				// model could be left unchanged, so 'change' event can't be relied on here
+				if (isValid && target.model === modelBinder._model) {
+					modelBinder._clearValidationErrors(setOptions.validate ? undefined : _.keys(target.attrs));
+				}
+				if (isValid) {
+					setAttrs.push.apply(setAttrs, target.attrNames);
+				}
+			});
+
+			modelBinder._settingAttrs = [];
+
+			return setAttrs;
 		},
 
-		// ---------------------------------------------------------------
+		// Merges [attrName, value] pairs into hashes of top-level attributes for each affected model.
+		// Nested objects are not mutated. Names of bound attributes, set to each model, are listed in 'attrNames'.
+		_composeModelAttributes: function(pairs) {
+			var modelBinder = this;
 
-		// TODO: what if several el bindings write value to same attribute?
-		/*toModel: function () {
-			var binder = this,
-				readableBindings = _.chain(binder._getBindingsForAttributes.apply(binder, arguments)).filter(binder._isBindingReadable);
+			return _.values(_.reduce(pairs, function(targets, pair) {
+				var computedAttr = utils.splitPath(pair[0])[0],
+					rootModel    = modelBinder._model;
 
-			readableBindings
-				.reject(binder._isBindingRadioGroup)
-				.map(function(binding) {
-					var editableElements = binding.boundEls.filter(binder._isElementEditable);
-					if (_.has(binding, 'read') || editableElements.length > 0) {
-						return [binding, editableElements];
-					}
-				})
-				.compact()
-				.each(utils.arrayToArgs(binder._copyViewToModel));
-
-			// TODO: resolve crazy radiogroups logic
-			readableBindings
-				.filter(binder._isBindingRadioGroup)
-				.each(function(binding) {
-					binding.boundEls.filter('input:radio:checked').each(function(index, elem) {
-						binder._copyViewToModel(binding, binding.boundEls.eq(index));
-					});
-				});
+				if (_.has(modelBinder._computed, computedAttr)) {
+					targets[rootModel.cid] || (targets[rootModel.cid] = { model: rootModel, attrs: {}, attrNames: [] });
+					_.extend(targets[rootModel.cid].attrs, modelBinder._splitComputedValue(computedAttr, pair[1]));
+					targets[rootModel.cid].attrNames.push(pair[0]);
+					return targets;
+				}
 
-			return this;
-		},*/
+				var resolved = modelBinder._resolveModelPath(pair[0]),
+					model    = resolved.model,
+					path     = resolved.path,
+					root     = path[0],
+					target   = targets[model.cid] || (targets[model.cid] = { model: model, attrs: {}, attrNames: [] }),
+					attrs    = target.attrs;
 
-		_onModelChange: function () {
-			this.toView(_.keys(this._model.changedAttributes()));
-			return this;
+				target.attrNames.push(pair[0]);
+
+				attrs[root] = path.length === 1 ? pair[1] : utils.setByPath(
+					_.has(attrs, root) ? attrs[root] : modelBinder._readModelAttribute(model, root),
+					path.slice(1),
+					pair[1]
+				);
+				return targets;
+			}, {}));
 		},
 
-		_onViewChange: function (event) {
-			var el = event.target,
-				binder = this;
+		// Computed attributes:
 
-			// TODO: store trigger el in щио field, do not change el itself
-			if (el._isSetting) { return this; }
-			el._isSetting = true;
-			binder.toModel($(el));
+		// Records attributes, which are read by computed attribute getter via model.get - to re-render it when any of them changes
+		_getComputedValue: function(attrName, previous) {
+			var computed = this._computed[attrName],
+				model = this._model,
+				hasOwnGet = _.has(model, 'get'),
+				originalGet = model.get,
+				dependencies = [];
 
-			el._isSetting = false;
+			if (previous) {
+				return computed.previous;
+			}
 
-			return binder;
-		},
+			model.get = function(dependency) {
+				dependencies.push(dependency);
+				return originalGet.apply(this, arguments);
+			};
 
-		_getElementValue: function ($el, reader) {
-			if (reader) {
-				if (_.isString(reader)) {
-					return $el.attr(reader);
-				} else if (_.isFunction(reader)) {
-					return reader.call(this, $el);
-				} else if (_.isBoolean(reader)) {
-					if (!this._isElementEditable($el)) {
-						return this._throwException('Not editable element is forced to be read');
-					}
-					// otherwise do nothing, drop to 'switch' below. Acts like 'force read'.
+			try {
+				computed.previous = computed.value;
+				computed.value = computed.get.call(model, model);
+			} finally {
+				if (hasOwnGet) {
+					model.get = originalGet;
 				} else {
-					return this._throwException('Unsupported type of option "read"');
+					delete model.get;
 				}
 			}
 
-			switch ($el.attr('type')) {
-				case 'checkbox':
-					return $el.prop('checked');
-				default:
-					if ($el.attr('contenteditable') !== undefined) {
-						return $el.html();
-					} else {
-						return $el.val();
-					}
-			}
+			computed.dependencies = _.uniq(dependencies);
+			return computed.value;
 		},
 
-		_isBindingReadable: function (elBinding) {
-			return elBinding.read || this._isBindingEditable(elBinding);
+		// Attributes never computed yet have unknown dependencies, so they depend on anything
+		_getDependentComputedAttrs: function(changedAttrs) {
+			return _.chain(this._computed)
+				.pairs()
+				.filter(function(pair) {
+					var dependencies = pair[1].dependencies;
+					return !dependencies || _.some(dependencies, function(dependency) {
+						return _.some(changedAttrs, _.partial(utils.isPathRelated, dependency));
+					});
+				})
+				.map(_.first)
+				.value();
 		},
 
-		_isBindingEditable: function (elBinding) {
-			return _.intersection(['value', 'text', 'html'], _.keys(elBinding.elAttr)).length > 0;
-		},
+		_splitComputedValue: function(attrName, value) {
+			var computed = this._computed[attrName],
+				model = this._model;
 
-		_isElementEditable: function ($el) {
-			return $el.attr('contenteditable')
-				|| $el.is('input')
-				|| $el.is('select')
-				|| $el.is('textarea');
-		},
+			if (!computed.set) {
+				return this._throwException('Computed attribute "' + attrName + '" can\'t be set, as it has no "set" function');
+			}
 
-		_isBindingRadioGroup: function (elBinding) {
-			var elements = elBinding.boundEls;
-			return elements.filter('input:radio').length === elements.length;
+			return computed.set.call(model, value, model);
 		},
 
-		// ModelToView direction handlers:
+		// Asynchronous values:
 
-		_fetchViewValuesFromModel: function() {
-			var modelBinder = this,
-				model       = modelBinder._model,
-				keys        = utils.flattenArgs(arguments);
+		// Filters can return thenables. Callback is called with values once all of them are resolved - synchronously, if there are no thenables.
+		// Values of bindings, which have got newer values in the same direction in meantime, are dropped.
+		_whenResolved: function(direction, bindings, values, callback) {
+			var binder = this,
+				key = binder._directionToKey(direction),
+				requestId = _.uniqueId('request'),
+				uniqBindings = _.uniq(bindings),
+				isActual = function(binding) { return binding.requests[key] === requestId; },
+				complete = function(results) {
+					var actual = _.map(bindings, isActual);
+
+					_.each(_.filter(uniqBindings, isActual), function(binding) {
+						binder._togglePending(binding, key, false);
+					});
 
-			return _.object(
-				keys,
-				_.zip(
-					modelBinder._options.forceGet ? _.map(keys, model.get, model) : _.values(model.pick(keys)),
-					_.map(keys, model.previous, model)
-				)
-			);
+					if (results && _.contains(actual, true)) {
+						callback(
+							_.filter(results, function(result, index) { return actual[index]; }),
+							_.filter(bindings, function(binding, index) { return actual[index]; }),
+							_.filter(_.range(bindings.length), function(index) { return actual[index]; })
+						);
+					}
+				};
+
+			_.each(uniqBindings, function(binding) {
+				(binding.requests || (binding.requests = {}))[key] = requestId;
+			});
+
+			if (!_.some(values, utils.isThenable)) {
+				complete(values);
+				return binder;
+			}
+
+			_.each(uniqBindings, function(binding) {
+				binder._togglePending(binding, key, true);
+			});
+
+			utils.whenAll(values).then(complete, function(error) {
+				var actual = _.filter(uniqBindings, isActual);
+
+				complete();
+				// failures of outdated requests are not interesting
+				if (actual.length > 0) {
+					binder.trigger('error', {
+						direction: key,
+						attrs: _.uniq(_.pluck(_.pluck(actual, 'parent'), 'modelAttr')),
+						error: error
+					});
+				}
+			});
+
+			return binder;
 		},
 
-		_composeViewAttributesForBinding: function(binding, values) {
-			var modelBinder = this;
+		// Resolves each value of elAttr => value(s) hash
+		_resolveViewAttributes: function(valuesConfig) {
+			var attrs = _.keys(valuesConfig),
+				values = _.values(valuesConfig);
 
-			return utils.updateValues(binding.elAttr, function(filter, attribute) {
-				var converter = _.partial(modelBinder._getConvertedValue, CONST.ModelToView, binding, attribute);
-				return _.has(modelBinder.binders, attribute) ? _.map(values, converter) : converter(values[0]);
+			if (!_.some(values, utils.isThenable)) {
+				return valuesConfig;
+			}
+
+			return utils.whenAll(values).then(function(results) {
+				return _.object(attrs, results);
 			});
 		},
 
-		_updateView: function($element, valuesConfig) {
-			var modelBinder = this,
-				binders = modelBinder.binders,
-				customBindersNames = _.keys(binders),
-
-				customAttrs = valuesConfig,
-				directAttrs = _.difference(_.keys(valuesConfig), customBindersNames),
-				cssPrefix = 'css:',
-				isCssAttr = function(str) { return str.slice(0, cssPrefix.length) === cssPrefix; };
-
-			//debugger;
-
-			if (directAttrs.length > 0) {
-				customAttrs = _.omit(valuesConfig, directAttrs);
-				directAttrs = _.pick(valuesConfig, directAttrs);
-
-				_.map(
-					utils.groupByObj(directAttrs,
-						function(value, name) { return isCssAttr(name) ? 'css' : 'attr'; },
-						{
-							'css': { key: utils.partialRight(String.slice, cssPrefix.length) }
-						}
-					),
-					function(values, method) {
-						$element.each(function(index) {
-							$element.eq(index)[method](values);
-						});
-					}
-				);
+		_togglePending: function(binding, key, isPending) {
+			var pendingClass = this._options.pendingClass,
+				pending = binding.pending || (binding.pending = {});
+
+			pending[key] = isPending;
+			if (pendingClass) {
+				binding.boundEls.toggleClass(pendingClass, _.contains(_.values(pending), true));
 			}
 
-			utils.stream(_.keys(customAttrs), [ binders, customAttrs ], function(binder, values) {
-				$element.each(function(index) {
-					binder.apply(binder, [$element.eq(index)].concat(values));
+			return this;
+		},
+
+		_cancelPendingValues: function(bindings) {
+			var binder = this;
+
+			_.each(bindings || binder._getBindingsForAttributes([]), function(binding) {
+				binding.requests = {};
+				_.each(binding.pending, function(isPending, key) {
+					binder._togglePending(binding, key, false);
 				});
 			});
 
-			return modelBinder;
+			return binder;
 		},
 
-		// ViewToModel direction handlers:
+		// Events:
 
-		_fetchModelValueFromView: function(binding, $element) {
-			var modelBinder = this;
-			return modelBinder._getConvertedValue(
-				CONST.ViewToModel,
-				binding,
-				_.isString(binding.read) ? binding.read : null,
-				modelBinder._getElementValue($element, binding.read)
-			);
+		// Payload of before/after events of values copying. Converted value for view is { elAttr: value } hash
+		_composeFlowEvent: function(binding, $elements, value, converted) {
+			return {
+				attr: binding.parent.modelAttr,
+				$elements: $elements,
+				value: value,
+				converted: converted,
+				cancel: function() { this.canceled = true; }
+			};
 		},
 
-		_composeModelAttributeForBinding: function(binding, $element, returnObject) {
-			var modelBinder = this,
-				config = [
-					binding.parent.modelAttr,
-					modelBinder._fetchModelValueFromView(binding, $element)
-				];
-			return returnObject ? _.object([config]) : config;
+		// Returns false, if any handler has canceled the event
+		_triggerCancelable: function(name, event) {
+			this.trigger(name, event);
+			return !event.canceled;
 		},
 
 		// Convertation:
@@ -643,7 +2619,17 @@
 				attributeFilter = binding.elAttr[elAttr || 'value'];
 
 			attributeFilter = (attributeFilter === true) ? _.identity : attributeFilter[converterName];
-			return _.compose(attributeFilter, bindingFilter);
+			return utils.composeAsync(attributeFilter, bindingFilter);
+		},
+
+		// returns { toView, toModel }. Description is used in error message
+		_resolveFilterChain: function (expression, description) {
+			try {
+				return utils.composeFilterChain(expression, this.filters);
+			} catch (message) {
+				this._throwException('Configuration error: ' + message + ' in ' + description);
+				return utils.normalizeFilter({});
+			}
 		},
 
 		_getConvertedValue: function (direction, binding, elAttr, value) {
@@ -713,6 +2699,87 @@
 		return utils.updateValues(_.groupBy($(createSelector(), rootEl), getBoundAttr), composeBinding, true);
 	};
 
+	/**
+	 * A static helper function to create bindings from declarative attributes, like
+	 * data-bind="text name; class status | statusClass; value amount"
+	 * Each clause is 'elAttr modelAttr', optionally followed by filters chain '| filterName:arg | ...'.
+	 * Single 'modelAttr' means 'value modelAttr'.
+	 * @param {Node|jQuery} rootEl  Where to find all of the bound elements
+	 * @param {Object}      options Following keys are recognized:
+	 *  - boundAttr(optional) - attribute containing bindings declarations. Default is 'data-bind'
+	 *  - filters(optional) - hash of filters { toView, toModel }, which can be referenced by name in declarations
+	 *    along with registered ones
+	 * @returns {Object}
+	 */
+	ModelBinder.parseBindings = function (rootEl, options) {
+		options = _.extend({ boundAttr: 'data-bind' }, options);
+
+		var availableFilters = _.extend({}, filters, options.filters);
+
+		function parseAgain(rootEl) {
+			return ModelBinder.parseBindings(rootEl, options);
+		}
+
+		function describeElement(elem) {
+			return elem.cloneNode(false).outerHTML;
+		}
+
+		function parseError(message, elem) {
+			return 'Bindings parse error: ' + message + '\nElement: ' + describeElement(elem);
+		}
+
+		function parseFilters(expression, elem) {
+			try {
+				return utils.composeFilterChain(expression, availableFilters);
+			} catch (message) {
+				throw parseError(message, elem);
+			}
+		}
+
+		// returns [modelAttr, elAttr, elAttrFilter]
+		function parseClause(clause, elem) {
+			var pipe = clause.indexOf('|'),
+				tokens = _.compact($.trim(pipe < 0 ? clause : clause.slice(0, pipe)).split(/\s+/));
+
+			if (tokens.length === 0 || tokens.length > 2) {
+				throw parseError('clause "' + clause + '" should be "elAttr modelAttr" or "modelAttr"', elem);
+			}
+
+			if (tokens.length === 1) {
+				tokens.unshift('value');
+			}
+
+			return [ tokens[1], tokens[0], pipe < 0 ? true : parseFilters(clause.slice(pipe + 1), elem) ];
+		}
+
+		function parseElement(elem) {
+			var clauses;
+			try {
+				clauses = _.compact(_.map(utils.splitUnquoted(elem.getAttribute(options.boundAttr), ';'), $.trim));
+			} catch (message) {
+				throw parseError(message, elem);
+			}
+
+			return _.chain(clauses)
+				.map(function(clause) { return parseClause(clause, elem); })
+				.groupBy(_.first)
+				.map(function(group, modelAttr) {
+					return [ modelAttr, {
+						boundEls: $(elem),
+						elAttr: _.object(_.map(group, function(parsed) { return parsed.slice(1); })),
+						// elements declared later are parsed by refresh() of live ModelBinder
+						source: parseAgain
+					} ];
+				})
+				.object()
+				.value();
+		}
+
+		return ModelBinder.mergeBindings.apply(ModelBinder, [{}].concat(
+			_.map($('[' + options.boundAttr + ']', rootEl), parseElement)
+		));
+	};
+
 	ModelBinder.mergeBindings = function (obj) {
 		_.chain(arguments).toArray().slice(1).each(function(source) {
 			var toMerge, existing;
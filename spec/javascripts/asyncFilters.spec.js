@@ -0,0 +1,157 @@
+describe("asynchronous filters", function(){
+    beforeEach(function(){
+        var requests = this.requests = [];
+
+        // returns deferred, which is resolved by test
+        this.deferredFilter = function(value) {
+            var deferred = $.Deferred();
+            requests.push({value: value, deferred: deferred});
+            return deferred.promise();
+        };
+
+        this.resolve = function(value, result) {
+            _.each(requests, function(request) {
+                if (request.value === value) { request.deferred.resolve(result); }
+            });
+        };
+
+        this.model = new AModel({firstName: 'bob'});
+        this.view = new SimpleView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+        this.el = this.view.$('[name=firstName]');
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    describe("in ModelToView direction", function(){
+        beforeEach(function(){
+            this.modelBinder.bind(this.model, this.view.el, {
+                firstName: {selector: '[name=firstName]', filters: {toView: this.deferredFilter}}
+            });
+        });
+
+        it("updates view when value is resolved", function(){
+            expect(this.el.val()).toEqual('');
+            this.resolve('bob', 'BOB');
+            expect(this.el.val()).toEqual('BOB');
+        });
+
+        it("marks elements as pending until value is resolved", function(){
+            expect(this.el.hasClass('pending')).toBe(true);
+            this.resolve('bob', 'BOB');
+            expect(this.el.hasClass('pending')).toBe(false);
+        });
+
+        it("drops stale results", function(){
+            this.model.set('firstName', 'kerry');
+            this.resolve('kerry', 'KERRY');
+            this.resolve('bob', 'BOB');
+
+            expect(this.el.val()).toEqual('KERRY');
+        });
+
+        it("keeps elements pending until the latest value is resolved", function(){
+            this.model.set('firstName', 'kerry');
+            expect(this.el.hasClass('pending')).toBe(true);
+
+            this.resolve('kerry', 'KERRY');
+            this.resolve('bob', 'BOB');
+            expect(this.el.hasClass('pending')).toBe(false);
+        });
+
+        it("filters current values only", function(){
+            this.resolve('bob', 'BOB');
+            this.model.set('firstName', 'kerry');
+
+            expect(_.pluck(this.requests, 'value')).toEqual(['bob', 'kerry']);
+        });
+
+        it("leaves view unchanged when value is rejected", function(){
+            this.requests[0].deferred.reject('error');
+            expect(this.el.val()).toEqual('');
+            expect(this.el.hasClass('pending')).toBe(false);
+        });
+
+        it("drops pending values on unbind", function(){
+            this.modelBinder.unbind();
+            expect(this.el.hasClass('pending')).toBe(false);
+
+            this.resolve('bob', 'BOB');
+            expect(this.el.val()).toEqual('');
+        });
+    });
+
+    describe("in ViewToModel direction", function(){
+        beforeEach(function(){
+            this.modelBinder.bind(this.model, this.view.el, {
+                firstName: {selector: '[name=firstName]', filters: {toModel: this.deferredFilter}}
+            });
+        });
+
+        it("sets model value when it is resolved", function(){
+            this.el.val('kerry').trigger('change');
+            expect(this.model.get('firstName')).toEqual('bob');
+
+            this.requests[0].deferred.resolve('KERRY');
+            expect(this.model.get('firstName')).toEqual('KERRY');
+        });
+
+        it("drops stale results", function(){
+            this.el.val('kerry').trigger('change');
+            this.el.val('kyle').trigger('change');
+
+            this.requests[1].deferred.resolve('KYLE');
+            this.requests[0].deferred.resolve('KERRY');
+            expect(this.model.get('firstName')).toEqual('KYLE');
+        });
+    });
+
+    it("passes resolved value to elAttr filter", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            firstName: {
+                selector: '[name=firstName]',
+                filters: {toView: this.deferredFilter},
+                elAttr: {value: {toView: function(value) { return value + '!'; }}}
+            }
+        });
+
+        this.resolve('bob', 'BOB');
+        expect(this.el.val()).toEqual('BOB!');
+    });
+
+    it("passes value rendered last time to binders as previous one", function(){
+        var update = jasmine.createSpy('update');
+        this.modelBinder.bind(this.model, this.view.el, {
+            firstName: {selector: '[name=firstName]', filters: {toView: this.deferredFilter}, elAttr: 'custom'}
+        }, {binders: {custom: update}});
+
+        this.resolve('bob', 'BOB');
+        this.model.set('firstName', 'kerry');
+        this.resolve('kerry', 'KERRY');
+
+        expect(_.map(update.argsForCall, _.rest)).toEqual([['BOB', undefined], ['KERRY', 'BOB']]);
+    });
+
+    it("accepts any thenables", function(){
+        var el = this.el;
+        this.modelBinder.bind(this.model, this.view.el, {
+            firstName: {selector: '[name=firstName]', filters: {toView: function(value) {
+                return new Promise(function(resolve) { setTimeout(function() { resolve(String(value).toUpperCase()); }, 0); });
+            }}}
+        });
+
+        waitsFor(function() { return el.val() === 'BOB'; }, 'value to be resolved', 500);
+        runs(function() {
+            expect(el.hasClass('pending')).toBe(false);
+        });
+    });
+
+    it("does not mark synchronous bindings as pending", function(){
+        this.modelBinder.bind(this.model, this.view.el);
+        expect(this.el.val()).toEqual('bob');
+        expect(this.el.hasClass('pending')).toBe(false);
+    });
+});
@@ -0,0 +1,105 @@
+describe("batched updates", function(){
+    beforeEach(function(){
+        this.model = new AModel({firstName: 'John', lastName: 'Smith', status: 'new'});
+        this.view = new SimpleView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+
+        this.bindings = {
+            firstName: [{selector: '#firstName', elAttr: 'text'}, {selector: '[name=firstName]'}],
+            lastName: {selector: '#lastName', elAttr: 'text'},
+            status: {selector: '#address', elAttr: 'class'}
+        };
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("render synchronously by default", function(){
+        this.modelBinder.bind(this.model, this.view.el, this.bindings);
+        this.model.set('firstName', 'Jane');
+        expect(this.view.$('#firstName').text()).toEqual('Jane');
+    });
+
+    describe("with delay in milliseconds", function(){
+        beforeEach(function(){
+            jasmine.Clock.useMock();
+            this.modelBinder.bind(this.model, this.view.el, this.bindings, {batchUpdates: 50});
+        });
+
+        it("render initial values immediately", function(){
+            expect(this.view.$('#firstName').text()).toEqual('John');
+        });
+
+        it("render all changes at once after delay", function(){
+            var writes = 0;
+            this.modelBinder.binders.text = _.wrap(this.modelBinder.binders.text, function(text) {
+                writes++;
+                return text.apply(this, _.toArray(arguments).slice(1));
+            });
+
+            this.model.set('firstName', 'Jane');
+            this.model.set('firstName', 'Jim');
+            this.model.set('lastName', 'Doe');
+            expect(this.view.$('#firstName').text()).toEqual('John');
+
+            jasmine.Clock.tick(50);
+            expect(this.view.$('#firstName').text()).toEqual('Jim');
+            expect(this.view.$('[name=firstName]').val()).toEqual('Jim');
+            expect(this.view.$('#lastName').text()).toEqual('Doe');
+            expect(writes).toBe(2);
+        });
+
+        it("pass value rendered before the batch as previous one", function(){
+            this.model.set('status', 'active');
+            this.model.set('status', 'closed');
+            jasmine.Clock.tick(50);
+
+            expect(this.view.$('#address').attr('class')).toEqual('closed');
+        });
+
+        it("render synchronously on flush()", function(){
+            this.model.set('firstName', 'Jane');
+            this.modelBinder.flush();
+            expect(this.view.$('#firstName').text()).toEqual('Jane');
+
+            this.model.set('firstName', 'John');
+            this.modelBinder.flush();
+            jasmine.Clock.tick(50);
+            expect(this.view.$('#firstName').text()).toEqual('John');
+        });
+
+        it("drop pending changes on unbind", function(){
+            this.model.set('firstName', 'Jane');
+            this.modelBinder.unbind();
+            jasmine.Clock.tick(50);
+            expect(this.view.$('#firstName').text()).toEqual('John');
+        });
+
+        it("do not delay view to model copy", function(){
+            this.view.$('[name=firstName]').val('Jane').trigger('change');
+            expect(this.model.get('firstName')).toEqual('Jane');
+        });
+    });
+
+    describe("on animation frames", function(){
+        beforeEach(function(){
+            this.modelBinder.bind(this.model, this.view.el, this.bindings, {batchUpdates: true});
+        });
+
+        it("render on next frame", function(){
+            var view = this.view;
+            this.model.set('firstName', 'Jane');
+            expect(view.$('#firstName').text()).toEqual('John');
+
+            waitsFor(function() { return view.$('#firstName').text() === 'Jane'; }, 'frame to be rendered', 500);
+        });
+
+        it("can be flushed", function(){
+            this.model.set('firstName', 'Jane');
+            this.modelBinder.flush();
+            expect(this.view.$('#firstName').text()).toEqual('Jane');
+        });
+    });
+});
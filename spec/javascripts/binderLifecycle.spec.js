@@ -0,0 +1,106 @@
+describe("binder lifecycle hooks", function(){
+    beforeEach(function(){
+        var log = this.log = [];
+
+        this.model = new AModel({firstName: 'John', lastName: 'Smith'});
+        this.view = new SimpleView({model: this.model});
+        this.view.render();
+
+        this.widget = {
+            init: function($el, binding) {
+                log.push(['init', $el.attr('id') || $el.attr('class'), binding.parent.modelAttr]);
+                $el.data('widget', {label: ''});
+            },
+            update: function($el, value) {
+                log.push(['update', $el.attr('id') || $el.attr('class'), value]);
+                $el.data('widget').label = value;
+            },
+            destroy: function($el) {
+                log.push(['destroy', $el.attr('id') || $el.attr('class')]);
+                $el.removeData('widget');
+            }
+        };
+
+        this.modelBinder = new Backbone.ModelBinder();
+        this.bind = function(bindings, options) {
+            this.modelBinder.bind(this.model, this.view.el, bindings, _.extend({binders: {widget: this.widget}}, options));
+        };
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("calls init before the first update on bind", function(){
+        this.bind({firstName: {selector: '#firstName', elAttr: 'widget'}});
+
+        expect(this.log).toEqual([['init', 'firstName', 'firstName'], ['update', 'firstName', 'John']]);
+        expect(this.view.$('#firstName').data('widget').label).toEqual('John');
+    });
+
+    it("calls update on model changes", function(){
+        this.bind({firstName: {selector: '#firstName', elAttr: 'widget'}});
+        this.log.length = 0;
+
+        this.model.set('firstName', 'Jane');
+        expect(this.log).toEqual([['update', 'firstName', 'Jane']]);
+    });
+
+    it("calls destroy on unbind", function(){
+        this.bind({firstName: {selector: '#firstName', elAttr: 'widget'}});
+        this.log.length = 0;
+
+        this.modelBinder.unbind();
+        expect(this.log).toEqual([['destroy', 'firstName']]);
+        expect(this.view.$('#firstName').data('widget')).toBeUndefined();
+
+        this.modelBinder.unbind();
+        expect(this.log.length).toBe(1);
+    });
+
+    it("calls destroy before bindings are replaced by another bind", function(){
+        this.bind({firstName: {selector: '#firstName', elAttr: 'widget'}});
+        this.log.length = 0;
+
+        this.bind({lastName: {selector: '#lastName', elAttr: 'widget'}});
+        expect(this.log).toEqual([['destroy', 'firstName'], ['init', 'lastName', 'lastName'], ['update', 'lastName', 'Smith']]);
+    });
+
+    it("allows binders without some hooks", function(){
+        var widget = this.widget;
+        this.bind({firstName: {selector: '#firstName', elAttr: 'widget'}}, {binders: {widget: {init: widget.init}}});
+
+        expect(this.log).toEqual([['init', 'firstName', 'firstName']]);
+        this.modelBinder.unbind();
+    });
+
+    it("calls hooks for elements added and removed in live bindings", function(){
+        this.bind({lastName: {selector: '.lastName', elAttr: 'widget'}}, {live: true});
+        expect(this.log).toEqual([]);
+
+        this.view.$el.append("<span class='lastName'></span>");
+        this.modelBinder.refresh();
+        expect(this.log).toEqual([['init', 'lastName', 'lastName'], ['update', 'lastName', 'Smith']]);
+
+        this.log.length = 0;
+        this.view.$('.lastName').remove();
+        this.modelBinder.refresh();
+        expect(this.log).toEqual([['destroy', 'lastName']]);
+    });
+
+    it("can be registered globally", function(){
+        Backbone.ModelBinder.registerBinder('widget', this.widget);
+
+        try {
+            var modelBinder = new Backbone.ModelBinder();
+            modelBinder.bind(this.model, this.view.el, {firstName: {selector: '#firstName', elAttr: 'widget'}});
+            modelBinder.unbind();
+
+            expect(_.map(this.log, _.first)).toEqual(['init', 'update', 'destroy']);
+        } finally {
+            Backbone.ModelBinder.unregisterBinder('widget');
+        }
+
+        expect(function(){ Backbone.ModelBinder.registerBinder('widget', {}); }).toThrow();
+    });
+});
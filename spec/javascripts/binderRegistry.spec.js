@@ -0,0 +1,100 @@
+describe("binders registry", function(){
+    beforeEach(function(){
+        this.model = new AModel({firstName: 'John', lastName: 'Smith'});
+        this.view = new SimpleView({model: this.model});
+        this.view.render();
+
+        this.tooltip = function($el, value) {
+            $el.attr('title', 'Name: ' + value);
+        };
+    });
+
+    afterEach(function(){
+        Backbone.ModelBinder.unregisterBinder('tooltip');
+    });
+
+    it("makes registered binder available to new instances", function(){
+        Backbone.ModelBinder.registerBinder('tooltip', this.tooltip);
+
+        var modelBinder = new Backbone.ModelBinder();
+        modelBinder.bind(this.model, this.view.el, {firstName: {selector: '#firstName', elAttr: 'tooltip'}});
+
+        expect(this.view.$('#firstName').attr('title')).toEqual('Name: John');
+
+        this.model.set('firstName', 'Jane');
+        expect(this.view.$('#firstName').attr('title')).toEqual('Name: Jane');
+    });
+
+    it("throws on name collision", function(){
+        Backbone.ModelBinder.registerBinder('tooltip', this.tooltip);
+
+        var tooltip = this.tooltip;
+        expect(function(){ Backbone.ModelBinder.registerBinder('tooltip', tooltip); }).toThrow();
+        expect(function(){ Backbone.ModelBinder.registerBinder('text', tooltip); }).toThrow();
+    });
+
+    it("throws on invalid name or binder", function(){
+        var tooltip = this.tooltip;
+        expect(function(){ Backbone.ModelBinder.registerBinder('', tooltip); }).toThrow();
+        expect(function(){ Backbone.ModelBinder.registerBinder('my tooltip', tooltip); }).toThrow();
+        expect(function(){ Backbone.ModelBinder.registerBinder('tooltip', 'title'); }).toThrow();
+    });
+
+    it("overrides registered binder with override option", function(){
+        var text = Backbone.ModelBinder.getBinder('text');
+        Backbone.ModelBinder.registerBinder('text', function($el, value) {
+            text($el, String(value).toUpperCase());
+        }, {override: true});
+
+        try {
+            var modelBinder = new Backbone.ModelBinder();
+            modelBinder.bind(this.model, this.view.el, {firstName: {selector: '#firstName', elAttr: 'text'}});
+            expect(this.view.$('#firstName').text()).toEqual('JOHN');
+        } finally {
+            Backbone.ModelBinder.registerBinder('text', text, {override: true});
+        }
+    });
+
+    it("does not affect existing instances", function(){
+        var modelBinder = new Backbone.ModelBinder();
+        Backbone.ModelBinder.registerBinder('tooltip', this.tooltip);
+
+        expect(modelBinder.binders.tooltip).toBeUndefined();
+    });
+
+    it("unregisters binder", function(){
+        Backbone.ModelBinder.registerBinder('tooltip', this.tooltip);
+        Backbone.ModelBinder.unregisterBinder('tooltip');
+
+        expect(Backbone.ModelBinder.getBinder('tooltip')).toBeUndefined();
+        expect(new Backbone.ModelBinder().binders.tooltip).toBeUndefined();
+    });
+
+    it("allows instance level binders to override registered ones", function(){
+        Backbone.ModelBinder.registerBinder('tooltip', this.tooltip);
+
+        var modelBinder = new Backbone.ModelBinder();
+        modelBinder.bind(this.model, this.view.el, {firstName: {selector: '#firstName', elAttr: 'tooltip'}}, {
+            binders: {
+                tooltip: function($el, value) { $el.attr('title', value); }
+            }
+        });
+
+        expect(this.view.$('#firstName').attr('title')).toEqual('John');
+        expect(new Backbone.ModelBinder().binders.tooltip).toBe(this.tooltip);
+    });
+
+    it("lets inverted binders use overridden originals", function(){
+        var modelBinder = new Backbone.ModelBinder();
+        modelBinder.bind(this.model, this.view.el, {firstName: {selector: '#firstName', elAttr: 'displayed'}}, {
+            binders: {
+                hidden: function($el, value) { $el.toggleClass('is-hidden', !!value); }
+            }
+        });
+
+        expect(this.view.$('#firstName').hasClass('is-hidden')).toBe(false);
+
+        this.model.set('firstName', '');
+        expect(this.view.$('#firstName').hasClass('is-hidden')).toBe(true);
+    });
+});
@@ -0,0 +1,158 @@
+describe("per-binding change triggers", function(){
+    beforeEach(function(){
+        jasmine.Clock.useMock();
+
+        this.model = new AModel({query: '', title: '', comment: ''});
+        this.view = new TriggersView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+
+        this.bind = function(queryBinding) {
+            this.modelBinder.bind(this.model, this.view.el, {
+                query: _.extend({selector: '[name=query]'}, queryBinding),
+                title: '[name=title]'
+            });
+        };
+
+        this.type = function(value, event) {
+            this.view.$('[name=query]').val(value).trigger(event || 'input');
+        };
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("updates model on binding's own trigger", function(){
+        this.bind({trigger: 'input'});
+
+        this.type('abc');
+        expect(this.model.get('query')).toEqual('abc');
+    });
+
+    it("ignores global triggers for binding with own trigger", function(){
+        this.bind({trigger: 'input'});
+
+        this.type('abc', 'change');
+        expect(this.model.get('query')).toEqual('');
+    });
+
+    it("does not affect other bindings", function(){
+        this.bind({trigger: 'input'});
+
+        this.view.$('[name=title]').val('title').trigger('input');
+        expect(this.model.get('title')).toEqual('');
+        this.view.$('[name=title]').trigger('change');
+        expect(this.model.get('title')).toEqual('title');
+    });
+
+    it("accepts several events", function(){
+        this.bind({trigger: 'keyup enter'});
+
+        this.type('abc', 'keyup');
+        expect(this.model.get('query')).toEqual('abc');
+    });
+
+    it("supports 'enter' pseudo-event", function(){
+        this.bind({trigger: 'enter'});
+
+        this.type('abc', $.Event('keydown', {which: 65}));
+        expect(this.model.get('query')).toEqual('');
+
+        this.type('abc', $.Event('keydown', {which: 13}));
+        expect(this.model.get('query')).toEqual('abc');
+    });
+
+    it("works for bindings without selector", function(){
+        this.modelBinder.bind(this.model, this.view.$('[name=comment]'), {
+            comment: {selector: '', trigger: 'input'}
+        });
+
+        this.view.$('[name=comment]').val('root').trigger('input');
+        expect(this.model.get('comment')).toEqual('root');
+    });
+
+    describe("with debounce", function(){
+        beforeEach(function(){
+            this.bind({trigger: 'input', debounce: 100});
+        });
+
+        it("updates model once user stops typing", function(){
+            this.type('a');
+            jasmine.Clock.tick(50);
+            this.type('ab');
+            jasmine.Clock.tick(99);
+            expect(this.model.get('query')).toEqual('');
+
+            jasmine.Clock.tick(1);
+            expect(this.model.get('query')).toEqual('ab');
+        });
+
+        it("flushes pending write on blur", function(){
+            this.type('abc');
+            this.view.$('[name=query]').trigger('blur');
+            expect(this.model.get('query')).toEqual('abc');
+        });
+
+        it("flushes pending write on blur of element bound without selector", function(){
+            this.modelBinder.bind(this.model, this.view.el, {
+                query: {boundEls: this.view.$('[name=query]'), trigger: 'input', debounce: 1000},
+                title: '[name=title]'
+            });
+
+            this.type('abc');
+            this.view.$('[name=title]').trigger('blur');
+            expect(this.model.get('query')).toEqual('');
+
+            this.view.$('[name=query]').trigger('blur');
+            expect(this.model.get('query')).toEqual('abc');
+        });
+
+        it("flushes pending write on unbind", function(){
+            this.type('abc');
+            this.modelBinder.unbind();
+            expect(this.model.get('query')).toEqual('abc');
+
+            jasmine.Clock.tick(100);
+            expect(this.model.get('query')).toEqual('abc');
+        });
+    });
+
+    describe("with throttle", function(){
+        beforeEach(function(){
+            this.bind({trigger: 'input', throttle: 100});
+        });
+
+        it("updates model immediately, then at most once per period", function(){
+            this.type('a');
+            expect(this.model.get('query')).toEqual('a');
+
+            this.type('ab');
+            this.type('abc');
+            expect(this.model.get('query')).toEqual('a');
+
+            jasmine.Clock.tick(100);
+            expect(this.model.get('query')).toEqual('abc');
+
+            this.type('abcd');
+            expect(this.model.get('query')).toEqual('abc');
+            jasmine.Clock.tick(100);
+            expect(this.model.get('query')).toEqual('abcd');
+        });
+
+        it("updates model immediately after quiet period", function(){
+            this.type('a');
+            jasmine.Clock.tick(100);
+
+            this.type('ab');
+            expect(this.model.get('query')).toEqual('ab');
+        });
+
+        it("flushes pending write on blur", function(){
+            this.type('a');
+            this.type('ab');
+            this.view.$('[name=query]').trigger('blur');
+            expect(this.model.get('query')).toEqual('ab');
+        });
+    });
+});
@@ -0,0 +1,70 @@
+describe("element bindings index", function(){
+    beforeEach(function(){
+        var html = _.map(_.range(300), function(i) { return "<input type='text' name='field" + i + "'>"; }).join('');
+        this.el = $('<div>' + html + '<span class="label"></span></div>');
+        this.model = new AModel(_.object(_.map(_.range(300), function(i) { return ['field' + i, 'value' + i]; })));
+        this.modelBinder = new Backbone.ModelBinder();
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("finds bindings of changed element", function(){
+        this.modelBinder.bind(this.model, this.el, {field150: [{selector: '[name=field150]'}, {selector: '.label', elAttr: 'text'}]}, {useDefaults: true});
+
+        this.el.find('[name=field150]').val('changed').trigger('change');
+        expect(this.model.get('field150')).toEqual('changed');
+        expect(this.el.find('.label').text()).toEqual('changed');
+        expect(this.model.get('field151')).toEqual('value151');
+    });
+
+    it("looks bindings up without checking all of them", function(){
+        this.modelBinder.bind(this.model, this.el, null);
+        var el = this.el.find('[name=field299]')[0];
+
+        spyOn($.fn, 'is').andCallThrough();
+        var bindings = this.modelBinder._getBindingsForElement(el);
+
+        expect(bindings.length).toBe(1);
+        expect(bindings[0].parent.modelAttr).toEqual('field299');
+        expect($.fn.is).not.toHaveBeenCalled();
+    });
+
+    it("is updated when live bindings are refreshed", function(){
+        this.modelBinder.bind(this.model, this.el, {nickname: '[name=nickname]'}, {live: true});
+
+        this.el.append("<input type='text' name='nickname'>");
+        this.modelBinder.refresh();
+        this.el.find('[name=nickname]').val('Bobby').trigger('change');
+        expect(this.model.get('nickname')).toEqual('Bobby');
+
+        var removed = this.el.find('[name=nickname]').detach();
+        this.modelBinder.refresh();
+        expect(this.modelBinder._getBindingsForElement(removed)).toEqual([]);
+    });
+
+    it("is cleared on unbind", function(){
+        this.modelBinder.bind(this.model, this.el, null);
+        this.modelBinder.unbind();
+
+        var el = this.el.find('[name=field0]');
+        expect(this.modelBinder._getBindingsForElement(el)).toEqual([]);
+
+        el.val('changed').trigger('change');
+        expect(this.model.get('field0')).toEqual('value0');
+    });
+
+    it("is kept per binder", function(){
+        var anotherModel = new AModel(),
+            anotherBinder = new Backbone.ModelBinder();
+
+        this.modelBinder.bind(this.model, this.el, {field0: '[name=field0]'});
+        anotherBinder.bind(anotherModel, this.el, {field0: '[name=field0]'});
+        anotherBinder.unbind();
+
+        this.el.find('[name=field0]').val('changed').trigger('change');
+        expect(this.model.get('field0')).toEqual('changed');
+        expect(anotherModel.has('field0')).toBe(false);
+    });
+});
@@ -0,0 +1,132 @@
+describe("built-in filters", function(){
+    function filter(name) {
+        var definition = Backbone.ModelBinder.getFilter(name);
+        return {
+            toView: function() { return definition.toView.apply(definition, arguments); },
+            toModel: function() { return definition.toModel.apply(definition, arguments); }
+        };
+    }
+
+    describe("number", function(){
+        it("converts numeric strings to numbers", function(){
+            expect(filter('number').toModel('12.5')).toBe(12.5);
+            expect(filter('number').toModel(' -3 ')).toBe(-3);
+            expect(filter('number').toModel('.5')).toBe(0.5);
+            expect(filter('number').toModel('1e3')).toBe(1000);
+        });
+
+        it("converts empty strings to null", function(){
+            expect(filter('number').toModel('')).toBeNull();
+            expect(filter('number').toModel('  ')).toBeNull();
+        });
+
+        it("does not convert invalid numbers", function(){
+            expect(filter('number').toModel('12abc')).toBe('12abc');
+            expect(filter('number').toModel('NaN')).toBe('NaN');
+        });
+
+        it("shows missing and NaN values as empty strings", function(){
+            expect(filter('number').toView(null)).toBe('');
+            expect(filter('number').toView(undefined)).toBe('');
+            expect(filter('number').toView(NaN)).toBe('');
+            expect(filter('number').toView(7)).toBe(7);
+        });
+
+        it("shows fixed number of decimal digits", function(){
+            expect(filter('number').toView(12.5, 2)).toBe('12.50');
+            expect(filter('number').toModel(filter('number').toView(12.5, 2))).toBe(12.5);
+        });
+    });
+
+    describe("integer", function(){
+        it("converts integer strings to numbers", function(){
+            expect(filter('integer').toModel('42')).toBe(42);
+            expect(filter('integer').toModel('+7')).toBe(7);
+            expect(filter('integer').toModel('')).toBeNull();
+        });
+
+        it("does not convert fractions and invalid numbers", function(){
+            expect(filter('integer').toModel('4.2')).toBe('4.2');
+            expect(filter('integer').toModel('4x')).toBe('4x');
+        });
+    });
+
+    describe("trim", function(){
+        it("trims view strings only", function(){
+            expect(filter('trim').toModel('  a b ')).toBe('a b');
+            expect(filter('trim').toModel(true)).toBe(true);
+            expect(filter('trim').toView(' a ')).toBe(' a ');
+        });
+    });
+
+    describe("emptyToNull", function(){
+        it("converts between empty strings and null", function(){
+            expect(filter('emptyToNull').toModel('')).toBeNull();
+            expect(filter('emptyToNull').toModel('a')).toBe('a');
+            expect(filter('emptyToNull').toView(null)).toBe('');
+            expect(filter('emptyToNull').toView(undefined)).toBe('');
+            expect(filter('emptyToNull').toView(0)).toBe(0);
+        });
+    });
+
+    describe("boolean", function(){
+        it("converts between booleans and strings", function(){
+            expect(filter('boolean').toModel('true')).toBe(true);
+            expect(filter('boolean').toModel('false')).toBe(false);
+            expect(filter('boolean').toModel('maybe')).toBe('maybe');
+            expect(filter('boolean').toView(true)).toBe('true');
+            expect(filter('boolean').toView(false)).toBe('false');
+            expect(filter('boolean').toView(null)).toBeNull();
+        });
+    });
+
+    describe("list", function(){
+        it("joins and splits arrays by comma by default", function(){
+            expect(filter('list').toView(['a', 'b'])).toBe('a,b');
+            expect(filter('list').toModel('a, b,,c ')).toEqual(['a', 'b', 'c']);
+            expect(filter('list').toModel('')).toEqual([]);
+            expect(filter('list').toView(null)).toBe('');
+        });
+
+        it("uses given delimiter", function(){
+            expect(filter('list').toView(['a', 'b'], '; ')).toBe('a; b');
+            expect(filter('list').toModel('a; b', '; ')).toEqual(['a', 'b']);
+            expect(filter('list').toModel('a b  c', ' ')).toEqual(['a', 'b', 'c']);
+        });
+    });
+
+    describe("in bindings", function(){
+        beforeEach(function(){
+            this.model = new AModel({us_citizen: false, age_level: 21, name: null, tags: ['x', 'y']});
+            this.view = new AView({model: this.model, bindings: {
+                us_citizen: {selector: '[name=us_citizen]', filters: 'boolean'},
+                age_level: {selector: '#age_level', filters: 'integer'},
+                name: {selector: '#name', filters: 'emptyToNull | trim'},
+                tags: {selector: '#something', filters: 'list:", "'}
+            }});
+            this.view.render();
+        });
+
+        it("copy model values to view", function(){
+            expect(this.view.$('#us_citizen_false').prop('checked')).toBe(true);
+            expect(this.view.$('#us_citizen_true').prop('checked')).toBe(false);
+            expect(this.view.$('#age_level').val()).toBe('21');
+            expect(this.view.$('#name').val()).toBe('');
+            expect(this.view.$('#something').val()).toBe('x, y');
+        });
+
+        it("copy view values to model", function(){
+            this.view.$('#us_citizen_true').prop('checked', true).trigger('change');
+            expect(this.model.get('us_citizen')).toBe(true);
+
+            this.view.$('#age_level').val('0').trigger('change');
+            expect(this.model.get('age_level')).toBe(0);
+
+            this.view.$('#name').val('  ').trigger('change');
+            expect(this.model.get('name')).toBeNull();
+
+            this.view.$('#something').val('a,b , c').trigger('change');
+            expect(this.model.get('tags')).toEqual(['a', 'b', 'c']);
+        });
+    });
+});
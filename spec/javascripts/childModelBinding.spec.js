@@ -0,0 +1,126 @@
+describe("binding through child models", function(){
+    beforeEach(function(){
+        this.innerModel = new AModel({name: 'inner', address: {city: 'Kyiv'}});
+        this.outerModel = new AModel({name: 'outer', innerModel: this.innerModel});
+
+        this.view = new ChildModelView({model: this.outerModel});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+        this.modelBinder.bind(this.outerModel, this.view.el);
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("copies child model values to view on bind", function(){
+        expect(this.view.$('[name="innerModel.name"]').val()).toEqual('inner');
+        expect(this.view.$('[name="innerModel.address.city"]').val()).toEqual('Kyiv');
+    });
+
+    it("updates view when child model changes", function(){
+        this.innerModel.set('name', 'changed');
+        expect(this.view.$('[name="innerModel.name"]').val()).toEqual('changed');
+        expect(this.view.$('[name=name]').val()).toEqual('outer');
+    });
+
+    it("writes view changes into child model", function(){
+        this.view.$('[name="innerModel.name"]').val('typed').trigger('change');
+
+        expect(this.innerModel.get('name')).toEqual('typed');
+        expect(this.outerModel.get('name')).toEqual('outer');
+        expect(this.outerModel.get('innerModel')).toBe(this.innerModel);
+    });
+
+    it("writes nested object paths into child model", function(){
+        this.view.$('[name="innerModel.address.city"]').val('Lviv').trigger('change');
+        expect(this.innerModel.get('address')).toEqual({city: 'Lviv'});
+    });
+
+    describe("when child model is replaced", function(){
+        beforeEach(function(){
+            this.otherModel = new AModel({name: 'other'});
+            this.outerModel.set('innerModel', this.otherModel);
+        });
+
+        it("re-renders bound elements", function(){
+            expect(this.view.$('[name="innerModel.name"]').val()).toEqual('other');
+        });
+
+        it("listens to the new child model", function(){
+            this.otherModel.set('name', 'other changed');
+            expect(this.view.$('[name="innerModel.name"]').val()).toEqual('other changed');
+        });
+
+        it("stops listening to the old child model", function(){
+            this.innerModel.set('name', 'stale');
+            expect(this.view.$('[name="innerModel.name"]').val()).toEqual('other');
+        });
+
+        it("writes view changes into the new child model", function(){
+            this.view.$('[name="innerModel.name"]').val('typed').trigger('change');
+            expect(this.otherModel.get('name')).toEqual('typed');
+            expect(this.innerModel.get('name')).toEqual('inner');
+        });
+    });
+
+    describe("with several levels of child models", function(){
+        beforeEach(function(){
+            this.deepModel = new AModel({name: 'deep'});
+            this.innerModel.set('child', this.deepModel);
+            this.modelBinder.bind(this.outerModel, this.view.el, {
+                'innerModel.child.name': {selector: '#deepName', elAttr: 'text'}
+            });
+        });
+
+        it("listens to the deepest model", function(){
+            expect(this.view.$('#deepName').text()).toEqual('deep');
+            this.deepModel.set('name', 'deeper');
+            expect(this.view.$('#deepName').text()).toEqual('deeper');
+        });
+
+        it("re-wires when intermediate model is replaced", function(){
+            var anotherDeepModel = new AModel({name: 'another deep'});
+            this.outerModel.set('innerModel', new AModel({child: anotherDeepModel}));
+            expect(this.view.$('#deepName').text()).toEqual('another deep');
+
+            this.deepModel.set('name', 'stale');
+            anotherDeepModel.set('name', 'fresh');
+            expect(this.view.$('#deepName').text()).toEqual('fresh');
+        });
+    });
+
+    describe("previous values", function(){
+        beforeEach(function(){
+            this.innerModel.set('status', 'a');
+            this.modelBinder.bind(this.outerModel, this.view.el, {
+                'innerModel.status': {selector: '#deepName', elAttr: 'class'}
+            });
+        });
+
+        it("are taken from the changed child model", function(){
+            this.innerModel.set('status', 'b');
+            this.innerModel.set('status', 'c');
+            expect(this.view.$('#deepName').attr('class')).toEqual('c');
+        });
+
+        it("are taken from the changed child model with batched updates", function(){
+            jasmine.Clock.useMock();
+            this.modelBinder.bind(this.outerModel, this.view.el, {
+                'innerModel.status': {selector: '#deepName', elAttr: 'class'}
+            }, {batchUpdates: 10});
+
+            this.innerModel.set('status', 'b');
+            jasmine.Clock.tick(10);
+            this.innerModel.set('status', 'c');
+            jasmine.Clock.tick(10);
+            expect(this.view.$('#deepName').attr('class')).toEqual('c');
+        });
+    });
+
+    it("stops listening to child models on unbind", function(){
+        this.modelBinder.unbind();
+        this.innerModel.set('name', 'after unbind');
+        expect(this.view.$('[name="innerModel.name"]').val()).toEqual('inner');
+    });
+});
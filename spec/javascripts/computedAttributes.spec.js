@@ -0,0 +1,100 @@
+describe("computed attributes", function(){
+    beforeEach(function(){
+        this.model = new AModel({firstName: 'John', lastName: 'Smith', age: 40, isShort: false});
+        this.view = new ComputedView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+
+        this.fullName = {
+            get: function(model) {
+                return model.get('firstName') + ' ' + model.get('lastName');
+            },
+            set: function(value) {
+                var parts = value.split(' ');
+                return {firstName: parts[0], lastName: parts[1]};
+            }
+        };
+
+        this.bind = function(computed) {
+            this.modelBinder.bind(this.model, this.view.el, {
+                fullName: [{selector: '[name=fullName]'}, {selector: '#fullNameLabel', elAttr: 'text'}]
+            }, {computed: computed});
+        };
+    });
+
+    it("copies computed value to view on bind", function(){
+        this.bind({fullName: this.fullName});
+        expect(this.view.$('#fullNameLabel').text()).toEqual('John Smith');
+    });
+
+    it("accepts getter function only", function(){
+        this.bind({fullName: this.fullName.get});
+        expect(this.view.$('#fullNameLabel').text()).toEqual('John Smith');
+    });
+
+    it("re-renders when any dependency changes", function(){
+        this.bind({fullName: this.fullName});
+
+        this.model.set('firstName', 'Jane');
+        expect(this.view.$('#fullNameLabel').text()).toEqual('Jane Smith');
+
+        this.model.set('lastName', 'Doe');
+        expect(this.view.$('#fullNameLabel').text()).toEqual('Jane Doe');
+    });
+
+    it("does not re-render when other attributes change", function(){
+        var calls = 0, getter = this.fullName.get;
+        this.bind({fullName: function(model) { calls++; return getter(model); }});
+
+        calls = 0;
+        this.model.set('age', 41);
+        expect(calls).toBe(0);
+    });
+
+    it("re-renders when dependency is passed to toView explicitly", function(){
+        this.bind({fullName: this.fullName});
+
+        this.model.set({firstName: 'Jane'}, {silent: true});
+        this.modelBinder.toView('firstName');
+        expect(this.view.$('#fullNameLabel').text()).toEqual('Jane Smith');
+    });
+
+    it("tracks dependencies which change between evaluations", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            summary: {selector: '#summary', elAttr: 'text'}
+        }, {computed: {summary: function(model) {
+            return model.get('isShort') ? model.get('firstName') : model.get('firstName') + ', ' + model.get('age');
+        }}});
+
+        this.model.set('isShort', true);
+        expect(this.view.$('#summary').text()).toEqual('John');
+
+        this.model.set('age', 41);
+        this.model.set('isShort', false);
+        expect(this.view.$('#summary').text()).toEqual('John, 41');
+    });
+
+    it("splits view value into several attributes", function(){
+        this.bind({fullName: this.fullName});
+
+        this.view.$('[name=fullName]').val('Jane Doe').trigger('change');
+        expect(this.model.get('firstName')).toEqual('Jane');
+        expect(this.model.get('lastName')).toEqual('Doe');
+        expect(this.view.$('#fullNameLabel').text()).toEqual('Jane Doe');
+    });
+
+    it("throws when computed attribute without setter is changed in view", function(){
+        this.bind({fullName: this.fullName.get});
+
+        var el = this.view.$('[name=fullName]').val('Jane Doe');
+        expect(function(){ el.trigger('change'); }).toThrow();
+    });
+
+    it("does not change model's get method", function(){
+        var get = this.model.get;
+        this.bind({fullName: this.fullName});
+
+        expect(this.model.get).toBe(get);
+        expect(_.has(this.model, 'get')).toBe(false);
+    });
+});
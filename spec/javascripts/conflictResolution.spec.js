@@ -0,0 +1,103 @@
+describe("conflicts of bindings of the same attribute", function(){
+    beforeEach(function(){
+        this.model = new AModel({firstName: 'John', lastName: 'Smith'});
+        this.view = new SimpleView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+
+        this.bind = function(conflict) {
+            this.modelBinder.bind(this.model, this.view.el, {
+                firstName: [{selector: '[name=firstName]'}, {selector: '[name=lastName]'}]
+            }, {conflict: conflict});
+        };
+
+        // elements get different values without change events
+        this.diverge = function() {
+            this.view.$('[name=firstName]').val('Jane');
+            this.view.$('[name=lastName]').val('Joan');
+        };
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("is an error by default", function(){
+        var modelBinder = this.modelBinder;
+        this.bind();
+        this.diverge();
+
+        expect(function(){ modelBinder.toModel(); }).toThrow();
+    });
+
+    it("can be resolved with the first binding value", function(){
+        this.bind('first');
+        this.diverge();
+
+        this.modelBinder.toModel();
+        expect(this.model.get('firstName')).toEqual('Jane');
+    });
+
+    it("can be resolved with value of element changed last", function(){
+        this.bind('lastChanged');
+
+        this.view.$('[name=lastName]').val('Jim').trigger('change');
+        expect(this.model.get('firstName')).toEqual('Jim');
+
+        this.diverge();
+        this.modelBinder.toModel();
+        expect(this.model.get('firstName')).toEqual('Joan');
+    });
+
+    it("uses the first binding value if no element was changed yet with 'lastChanged'", function(){
+        this.bind('lastChanged');
+        this.diverge();
+
+        this.modelBinder.toModel();
+        expect(this.model.get('firstName')).toEqual('Jane');
+    });
+
+    it("can be resolved with custom function", function(){
+        var merge = jasmine.createSpy('merge').andCallFake(function(values) { return values.join(' & '); });
+        this.bind(merge);
+        this.diverge();
+
+        this.modelBinder.toModel();
+        expect(merge).toHaveBeenCalledWith(['Jane', 'Joan'], 'firstName', this.model);
+        expect(this.model.get('firstName')).toEqual('Jane & Joan');
+    });
+
+    it("can be configured per attribute", function(){
+        var modelBinder = this.modelBinder;
+        modelBinder.bind(this.model, this.view.el, {
+            firstName: [{selector: '[name=firstName]'}, {selector: '[name=lastName]'}],
+            lastName: [{selector: '[name=lastName]'}, {selector: '[name=firstName]'}]
+        }, {conflict: {firstName: 'first'}});
+        this.diverge();
+
+        expect(function(){ modelBinder.toModel('lastName'); }).toThrow();
+
+        modelBinder.toModel('firstName');
+        expect(this.model.get('firstName')).toEqual('Jane');
+    });
+
+    it("throws on unknown strategy at bind", function(){
+        var self = this;
+
+        expect(function(){ self.bind('random'); }).toThrow();
+        expect(function(){ self.bind({firstName: 'random'}); }).toThrow();
+    });
+
+    it("does not check display only bindings", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            firstName: [
+                {selector: '[name=firstName]'},
+                {selector: '[name=firstName]', elAttr: 'title', filters: {toModel: function(value) { return value.toUpperCase(); }}}
+            ]
+        });
+
+        this.view.$('[name=firstName]').val('Jane').trigger('change');
+        expect(this.model.get('firstName')).toEqual('Jane');
+        expect(this.view.$('[name=firstName]').attr('title')).toEqual('Jane');
+    });
+});
@@ -0,0 +1,174 @@
+describe("dirty tracking", function(){
+    beforeEach(function(){
+        this.model = new AModel({firstName: 'John', lastName: 'Smith', tags: ['a']});
+        this.view = new DirtyView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+
+        this.bind = function(bindings, options) {
+            this.modelBinder.bind(this.model, this.view.el, _.extend({
+                firstName: [{selector: '[name=firstName]'}, {selector: '#firstNameLabel', elAttr: 'text'}],
+                lastName: '[name=lastName]'
+            }, bindings), options);
+        };
+
+        this.edit = function(name, value) {
+            this.view.$('[name=' + name + ']').val(value).trigger('change');
+        };
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("is clean after bind", function(){
+        this.bind();
+
+        expect(this.modelBinder.isDirty()).toBe(false);
+        expect(this.modelBinder.dirtyAttributes()).toEqual([]);
+        expect(this.view.$('.dirty').length).toBe(0);
+    });
+
+    it("tracks edited attributes", function(){
+        this.bind();
+        this.edit('lastName', 'Doe');
+
+        expect(this.modelBinder.isDirty()).toBe(true);
+        expect(this.modelBinder.dirtyAttributes()).toEqual(['lastName']);
+
+        this.edit('lastName', 'Smith');
+        expect(this.modelBinder.isDirty()).toBe(false);
+    });
+
+    it("does not track not bound attributes", function(){
+        this.bind();
+        this.model.set('tags', ['b']);
+
+        expect(this.modelBinder.isDirty()).toBe(false);
+    });
+
+    it("toggles dirty class on edited elements", function(){
+        this.bind();
+        this.edit('firstName', 'Jane');
+
+        expect(this.view.$('[name=firstName]').hasClass('dirty')).toBe(true);
+        expect(this.view.$('[name=lastName]').hasClass('dirty')).toBe(false);
+        // display only element
+        expect(this.view.$('#firstNameLabel').hasClass('dirty')).toBe(false);
+
+        this.modelBinder.unbind();
+        expect(this.view.$('[name=firstName]').hasClass('dirty')).toBe(false);
+    });
+
+    it("allows to configure dirty class", function(){
+        this.bind({}, {dirtyClass: 'edited'});
+        this.edit('firstName', 'Jane');
+
+        expect(this.view.$('[name=firstName]').attr('class')).toEqual('edited');
+    });
+
+    it("takes new baseline on markClean()", function(){
+        this.bind();
+        this.edit('firstName', 'Jane');
+        this.modelBinder.markClean();
+
+        expect(this.modelBinder.isDirty()).toBe(false);
+        expect(this.view.$('[name=firstName]').hasClass('dirty')).toBe(false);
+
+        this.edit('firstName', 'John');
+        expect(this.modelBinder.dirtyAttributes()).toEqual(['firstName']);
+    });
+
+    it("takes new baseline when model is synced", function(){
+        this.bind();
+        this.edit('firstName', 'Jane');
+        this.model.trigger('sync', this.model, {}, {});
+
+        expect(this.modelBinder.isDirty()).toBe(false);
+    });
+
+    it("takes new baseline on setModel()", function(){
+        this.bind();
+        this.edit('firstName', 'Jane');
+        this.modelBinder.setModel(new AModel({firstName: 'Jim', lastName: 'Black'}));
+
+        expect(this.modelBinder.isDirty()).toBe(false);
+    });
+
+    describe("reset()", function(){
+        beforeEach(function(){
+            this.bind();
+            this.edit('firstName', 'Jane');
+            this.edit('lastName', 'Doe');
+        });
+
+        it("restores all attributes", function(){
+            this.modelBinder.reset();
+
+            expect(this.model.get('firstName')).toEqual('John');
+            expect(this.model.get('lastName')).toEqual('Smith');
+            expect(this.view.$('[name=lastName]').val()).toEqual('Smith');
+            expect(this.modelBinder.isDirty()).toBe(false);
+            expect(this.view.$('.dirty').length).toBe(0);
+        });
+
+        it("restores given attributes", function(){
+            this.modelBinder.reset('lastName');
+
+            expect(this.model.get('firstName')).toEqual('Jane');
+            expect(this.model.get('lastName')).toEqual('Smith');
+            expect(this.modelBinder.dirtyAttributes()).toEqual(['firstName']);
+        });
+    });
+
+    it("provides bindable '$dirty' attribute", function(){
+        this.bind({$dirty: {selector: '#save', elAttr: 'enabled'}});
+        expect(this.view.$('#save').prop('disabled')).toBe(true);
+
+        this.edit('firstName', 'Jane');
+        expect(this.view.$('#save').prop('disabled')).toBe(false);
+
+        this.modelBinder.markClean();
+        expect(this.view.$('#save').prop('disabled')).toBe(true);
+    });
+
+    it("tracks dependencies of computed attributes", function(){
+        this.bind({fullName: '[name=fullName]'}, {computed: {
+            fullName: {
+                get: function(model) { return model.get('firstName') + ' ' + model.get('lastName'); },
+                set: function(value) { var parts = value.split(' '); return {firstName: parts[0], lastName: parts[1]}; }
+            }
+        }});
+
+        this.edit('fullName', 'Jane Doe');
+        expect(this.modelBinder.dirtyAttributes()).toEqual(['firstName', 'lastName']);
+        expect(this.view.$('[name=fullName]').hasClass('dirty')).toBe(true);
+
+        this.modelBinder.reset('fullName');
+        expect(this.view.$('[name=fullName]').val()).toEqual('John Smith');
+    });
+
+    it("updates elements only of attributes, which dirty state has changed", function(){
+        var html = _.map(_.range(300), function(i) { return "<input type='text' name='field" + i + "'>"; }).join(''),
+            el = $('<div>' + html + '</div>'),
+            model = new AModel(_.object(_.map(_.range(300), function(i) { return ['field' + i, 'value' + i]; }))),
+            modelBinder = new Backbone.ModelBinder(),
+            dirtyToggles = function() { return _.filter($.fn.toggleClass.argsForCall, function(args) { return args[0] === 'dirty'; }).length; };
+
+        modelBinder.bind(model, el);
+        spyOn($.fn, 'toggleClass').andCallThrough();
+
+        model.set('field150', 'changed');
+        expect(dirtyToggles()).toBe(1);
+        expect(el.find('.dirty').length).toBe(1);
+
+        model.set('field150', 'changed again');
+        expect(dirtyToggles()).toBe(1);
+
+        model.set('field150', 'value150');
+        expect(dirtyToggles()).toBe(2);
+        expect(el.find('.dirty').length).toBe(0);
+
+        modelBinder.unbind();
+    });
+});
@@ -0,0 +1,120 @@
+describe("elAttr namespaces", function(){
+    beforeEach(function(){
+        this.model = new AModel({partial: true, isActive: true, config: {size: 2}, expanded: false, width: 10, title: 'Panel'});
+        this.view = new NamespacesView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("prop: sets DOM properties", function(){
+        this.modelBinder.bind(this.model, this.view.el, {partial: {selector: '#selectAll', elAttr: 'prop:indeterminate'}});
+        expect(this.view.$('#selectAll').prop('indeterminate')).toBe(true);
+
+        this.model.set('partial', false);
+        expect(this.view.$('#selectAll').prop('indeterminate')).toBe(false);
+    });
+
+    it("data: sets JSON encoded data attributes", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            config: {selector: '#panel', elAttr: 'data:config'},
+            title: {selector: '#panel', elAttr: 'data:title'}
+        });
+        expect(this.view.$('#panel').attr('data-config')).toEqual('{"size":2}');
+        expect(this.view.$('#panel').attr('data-title')).toEqual('Panel');
+        expect(this.view.$('#panel').data('config')).toEqual({size: 2});
+
+        this.model.set('config', {size: 3});
+        expect(this.view.$('#panel').data('config')).toEqual({size: 3});
+
+        this.model.set('config', null);
+        expect(this.view.$('#panel').attr('data-config')).toBeUndefined();
+    });
+
+    it("aria: sets ARIA attributes, keeping false states", function(){
+        this.modelBinder.bind(this.model, this.view.el, {expanded: {selector: '#toggle', elAttr: 'aria:expanded'}});
+        expect(this.view.$('#toggle').attr('aria-expanded')).toEqual('false');
+
+        this.model.set('expanded', true);
+        expect(this.view.$('#toggle').attr('aria-expanded')).toEqual('true');
+
+        this.model.set('expanded', null);
+        expect(this.view.$('#toggle').attr('aria-expanded')).toBeUndefined();
+    });
+
+    it("class: toggles single class", function(){
+        this.modelBinder.bind(this.model, this.view.el, {isActive: {selector: '#panel', elAttr: 'class:active'}});
+        expect(this.view.$('#panel').hasClass('active')).toBe(true);
+
+        this.model.set('isActive', false);
+        expect(this.view.$('#panel').hasClass('active')).toBe(false);
+        expect(this.view.$('#panel').hasClass('panel')).toBe(true);
+    });
+
+    it("css: sets single style property", function(){
+        this.modelBinder.bind(this.model, this.view.el, {width: {selector: '#panel', elAttr: 'css:width'}});
+        expect(this.view.$('#panel')[0].style.width).toEqual('10px');
+
+        this.model.set('width', null);
+        expect(this.view.$('#panel')[0].style.width).toEqual('');
+    });
+
+    it("attributes are removed for null and false values", function(){
+        this.modelBinder.bind(this.model, this.view.el, {title: {selector: '#panel', elAttr: 'title'}});
+        expect(this.view.$('#panel').attr('title')).toEqual('Panel');
+
+        this.model.set('title', false);
+        expect(this.view.$('#panel').attr('title')).toBeUndefined();
+
+        this.model.set('title', 'Again');
+        this.model.set('title', null);
+        expect(this.view.$('#panel').attr('title')).toBeUndefined();
+    });
+
+    it("unknown prefixes are treated as attribute names", function(){
+        this.modelBinder.bind(this.model, this.view.el, {title: {selector: '#panel', elAttr: 'xml:lang'}});
+        expect(this.view.$('#panel').attr('xml:lang')).toEqual('Panel');
+    });
+
+    it("can be registered", function(){
+        Backbone.ModelBinder.registerNamespace('tip', function($el, name, value) {
+            $el.attr('data-tip-' + name, String(value).toUpperCase());
+        });
+
+        try {
+            this.modelBinder.bind(this.model, this.view.el, {title: {selector: '#panel', elAttr: 'tip:text'}});
+            expect(this.view.$('#panel').attr('data-tip-text')).toEqual('PANEL');
+            expect(function(){ Backbone.ModelBinder.registerNamespace('tip', $.noop); }).toThrow();
+        } finally {
+            Backbone.ModelBinder.unregisterNamespace('tip');
+        }
+    });
+
+    describe("style binder", function(){
+        it("sets CSS properties with px units", function(){
+            this.model.set('styles', {width: 10, opacity: 0.5, 'background-color': 'red'});
+            this.modelBinder.bind(this.model, this.view.el, {styles: {selector: '#panel', elAttr: 'style'}});
+
+            var style = this.view.$('#panel')[0].style;
+            expect(style.width).toEqual('10px');
+            expect(style.opacity).toEqual('0.5');
+            expect(style.backgroundColor).toEqual('red');
+        });
+
+        it("removes properties missing in new value", function(){
+            this.model.set('styles', {width: 10, height: 20});
+            this.modelBinder.bind(this.model, this.view.el, {styles: {selector: '#panel', elAttr: 'style'}});
+
+            this.model.set('styles', {width: 30, height: null});
+            var style = this.view.$('#panel')[0].style;
+            expect(style.width).toEqual('30px');
+            expect(style.height).toEqual('');
+
+            this.model.set('styles', {});
+            expect(style.width).toEqual('');
+        });
+    });
+});
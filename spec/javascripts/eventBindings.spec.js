@@ -0,0 +1,133 @@
+describe("event bindings", function(){
+    beforeEach(function(){
+        this.model = new CounterModel();
+        this.view = new EventsView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("call model method named as binding attribute", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            toggleFavourite: {selector: '#favourite', elAttr: 'on:click'}
+        });
+
+        this.view.$('#favourite').click();
+        expect(this.model.get('favourite')).toBe(true);
+    });
+
+    it("call named model method with arguments", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            count: [
+                {selector: '#count', elAttr: 'text'},
+                {selector: '#increment', elAttr: {'on:click': 'increment:count'}},
+                {selector: '#incrementByTen', elAttr: {'on:click': 'increment:"count":10'}}
+            ]
+        });
+
+        this.view.$('#increment').click();
+        this.view.$('#incrementByTen').click();
+        expect(this.model.get('count')).toBe(11);
+        expect(this.view.$('#count').text()).toEqual('11');
+    });
+
+    it("call function with event, element and model", function(){
+        var args;
+        this.modelBinder.bind(this.model, this.view.el, {
+            count: {selector: '#increment', elAttr: {'on:click': function() { args = _.toArray(arguments); }}}
+        });
+
+        this.view.$('#increment').click();
+        expect(args[0].type).toEqual('click');
+        expect(args[1][0]).toBe(this.view.$('#increment')[0]);
+        expect(args[2]).toBe(this.model);
+    });
+
+    it("handle events bubbled from descendants", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            toggleFavourite: {selector: '#favourite', elAttr: 'on:click'}
+        });
+
+        this.view.$('#favourite .icon').click();
+        expect(this.model.get('favourite')).toBe(true);
+    });
+
+    it("handle events of elements without selector", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            toggleFavourite: {boundEls: this.view.$('#favourite'), elAttr: 'on:click'}
+        });
+
+        this.view.$('#favourite .icon').click();
+        expect(this.model.get('favourite')).toBe(true);
+
+        this.view.$('#increment').click();
+        expect(this.model.get('favourite')).toBe(true);
+    });
+
+    it("support pseudo events", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            comment: [
+                {selector: '[name=comment]'},
+                {selector: '[name=comment]', elAttr: {'on:enter': 'increment:count'}}
+            ]
+        });
+
+        this.view.$('[name=comment]').trigger($.Event('keydown', {which: 65}));
+        expect(this.model.get('count')).toBe(0);
+
+        this.view.$('[name=comment]').trigger($.Event('keydown', {which: 13}));
+        expect(this.model.get('count')).toBe(1);
+    });
+
+    it("are combined with value bindings", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            comment: {selector: '[name=comment]', elAttr: {value: true, 'on:dblclick': 'increment:count'}}
+        });
+
+        this.view.$('[name=comment]').val('text').trigger('change');
+        this.view.$('[name=comment]').trigger('dblclick');
+        expect(this.model.get('comment')).toEqual('text');
+        expect(this.model.get('count')).toBe(1);
+    });
+
+    it("do not copy element value to model", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            comment: {selector: '[name=comment]', elAttr: {'on:dblclick': 'increment:count'}}
+        });
+
+        this.view.$('[name=comment]').val('text').trigger('change');
+        this.modelBinder.toModel();
+        this.modelBinder.toModel(this.view.$('[name=comment]'));
+        expect(this.model.has('comment')).toBe(false);
+    });
+
+    it("are removed on unbind", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            toggleFavourite: {selector: '#favourite', elAttr: 'on:click'}
+        });
+        this.modelBinder.unbind();
+
+        this.view.$('#favourite').click();
+        expect(this.model.get('favourite')).toBe(false);
+    });
+
+    it("throw when model has no such method", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            count: {selector: '#increment', elAttr: {'on:click': 'decrement'}}
+        });
+
+        var $el = this.view.$('#increment');
+        expect(function(){ $el.click(); }).toThrow('Model has no method "decrement" to handle event');
+    });
+
+    it("can be declared with parseBindings", function(){
+        this.view.$('#favourite').attr('data-bind', 'on:click toggleFavourite');
+        this.modelBinder.bind(this.model, this.view.el, Backbone.ModelBinder.parseBindings(this.view.el));
+
+        this.view.$('#favourite').click();
+        expect(this.model.get('favourite')).toBe(true);
+    });
+});
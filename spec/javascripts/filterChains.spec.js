@@ -0,0 +1,113 @@
+describe("named filters", function(){
+    beforeEach(function(){
+        this.model = new AModel({firstName: 'John', lastName: 'Smith', price: 12.5});
+        this.view = new SimpleView({model: this.model});
+        this.view.render();
+
+        Backbone.ModelBinder.registerFilter('upper', {
+            toView: function(value) { return String(value).toUpperCase(); },
+            toModel: function(value) { return String(value).toLowerCase(); }
+        });
+        Backbone.ModelBinder.registerFilter('wrap', {
+            toView: function(value, left, right) { return left + value + (right === undefined ? left : right); },
+            toModel: function(value, left, right) {
+                return value.slice(String(left).length, -String(right === undefined ? left : right).length);
+            }
+        });
+
+        // instances pick up filters registered before they are created
+        this.modelBinder = new Backbone.ModelBinder();
+    });
+
+    afterEach(function(){
+        _.each(['upper', 'wrap'], Backbone.ModelBinder.unregisterFilter);
+    });
+
+    it("are referenced by name", function(){
+        this.modelBinder.bind(this.model, this.view.el, {firstName: {selector: '#firstName', elAttr: 'text', filters: 'upper'}});
+        expect(this.view.$('#firstName').text()).toEqual('JOHN');
+    });
+
+    it("can be used per element attribute", function(){
+        this.modelBinder.bind(this.model, this.view.el, {firstName: {selector: '#firstName', elAttr: {text: 'upper', title: true}}});
+        expect(this.view.$('#firstName').text()).toEqual('JOHN');
+        expect(this.view.$('#firstName').attr('title')).toEqual('John');
+    });
+
+    it("pass arguments to filters", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            firstName: {selector: '#firstName', elAttr: 'text', filters: 'wrap:"[":\']\''},
+            lastName:  {selector: '#lastName', elAttr: 'text', filters: 'wrap:  "|" '}
+        });
+        expect(this.view.$('#firstName').text()).toEqual('[John]');
+        expect(this.view.$('#lastName').text()).toEqual('|Smith|');
+    });
+
+    it("compose chain left-to-right to view and right-to-left to model", function(){
+        this.modelBinder.bind(this.model, this.view.el, {firstName: {selector: '[name=firstName]', filters: 'upper | wrap:"<":">" | trim'}});
+        expect(this.view.$('[name=firstName]').val()).toEqual('<JOHN>');
+
+        this.view.$('[name=firstName]').val(' <JANE> ').trigger('change');
+        expect(this.model.get('firstName')).toEqual('jane');
+    });
+
+    it("parse numbers, booleans and null arguments", function(){
+        var args;
+        Backbone.ModelBinder.registerFilter('spy', function(value) {
+            args = _.toArray(arguments).slice(1);
+            return value;
+        });
+
+        try {
+            this.modelBinder = new Backbone.ModelBinder();
+            this.modelBinder.bind(this.model, this.view.el, {firstName: {selector: '#firstName', elAttr: 'text', filters: 'spy:2:-1.5:true:false:null:word:"2"'}});
+            expect(args).toEqual([2, -1.5, true, false, null, 'word', '2']);
+        } finally {
+            Backbone.ModelBinder.unregisterFilter('spy');
+        }
+    });
+
+    it("can be defined per instance", function(){
+        this.modelBinder.bind(this.model, this.view.el, {firstName: {selector: '#firstName', elAttr: 'text', filters: 'upper'}}, {
+            filters: {upper: function(value) { return value + '!'; }}
+        });
+        expect(this.view.$('#firstName').text()).toEqual('John!');
+    });
+
+    it("can be used as default filters", function(){
+        this.modelBinder.bind(this.model, this.view.el, null, {useDefaults: true, defaults: {filters: 'upper'}});
+        expect(this.view.$('[name=lastName]').val()).toEqual('SMITH');
+    });
+
+    describe("errors", function(){
+        it("are thrown for unknown filters on bind", function(){
+            var modelBinder = this.modelBinder, model = this.model, el = this.view.el;
+            expect(function(){
+                modelBinder.bind(model, el, {firstName: {selector: '#firstName', filters: 'trim | unknown'}});
+            }).toThrow('Configuration error: unknown filter "unknown" in binding of model attribute "firstName"');
+        });
+
+        it("are thrown for malformed chains", function(){
+            var modelBinder = this.modelBinder, model = this.model, el = this.view.el;
+            expect(function(){
+                modelBinder.bind(model, el, {firstName: {selector: '#firstName', filters: 'trim | '}});
+            }).toThrow();
+            expect(function(){
+                modelBinder.bind(model, el, {firstName: {selector: '#firstName', filters: 'wrap:"['}});
+            }).toThrow();
+        });
+
+        it("are thrown on name collision", function(){
+            expect(function(){ Backbone.ModelBinder.registerFilter('upper', _.identity); }).toThrow();
+            expect(function(){ Backbone.ModelBinder.registerFilter('a|b', _.identity); }).toThrow();
+            expect(function(){ Backbone.ModelBinder.registerFilter('noop', {}); }).toThrow();
+        });
+
+        it("are not thrown when overriding on purpose", function(){
+            Backbone.ModelBinder.registerFilter('upper', _.identity, {override: true});
+            this.modelBinder = new Backbone.ModelBinder();
+            this.modelBinder.bind(this.model, this.view.el, {firstName: {selector: '#firstName', elAttr: 'text', filters: 'upper'}});
+            expect(this.view.$('#firstName').text()).toEqual('John');
+        });
+    });
+});
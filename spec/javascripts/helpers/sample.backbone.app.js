@@ -354,3 +354,187 @@ SimpleView = Backbone.View.extend({
     }
 });
 
+
+NestedAttributesView = Backbone.View.extend({
+    render:function () {
+        var html = $("\
+          <input type='text' name='firstName'>\
+          <input type='text' name='address.city'>\
+          <input type='text' name='address.geo.zip'>\
+          <span id='firstItemLabel'></span>\
+        ");
+        this.$el.append(html);
+
+        return this;
+    }
+});
+
+ChildModelView = Backbone.View.extend({
+    render:function () {
+        var html = $("\
+          <input type='text' name='name'>\
+          <input type='text' name='innerModel.name'>\
+          <input type='text' name='innerModel.address.city'>\
+          <span id='deepName'></span>\
+        ");
+        this.$el.append(html);
+
+        return this;
+    }
+});
+
+MultiValueView = Backbone.View.extend({
+    render:function () {
+        var html = $("\
+          <input type='checkbox' name='tags' value='news'>\
+          <input type='checkbox' name='tags' value='sport'>\
+          <input type='checkbox' name='tags' value='music'>\
+          <input type='checkbox' name='favourites' value='1'>\
+          <select name='colors' multiple='multiple'> \
+            <option value='red'>red</option> \
+            <option value='green'>green</option> \
+            <option value='blue'>blue</option> \
+          </select> \
+        ");
+        this.$el.append(html);
+
+        return this;
+    }
+});
+
+ValidatedModel = Backbone.Model.extend({
+    validate: function(attrs) {
+        var errors = {};
+        if (attrs.age !== undefined && !/^\d+$/.test(attrs.age)) {
+            errors.age = 'Age must be a number';
+        }
+        if (attrs.email !== undefined && attrs.email.indexOf('@') < 0) {
+            errors.email = 'Email is invalid';
+        }
+        return _.isEmpty(errors) ? undefined : errors;
+    }
+});
+
+ValidationView = Backbone.View.extend({
+    render:function () {
+        var html = $("\
+          <input type='text' name='age'>\
+          <input type='text' name='email'>\
+          <span id='ageLabel'></span>\
+          <span data-error-for='age'></span>\
+        ");
+        this.$el.append(html);
+
+        return this;
+    }
+});
+
+TriggersView = Backbone.View.extend({
+    render:function () {
+        var html = $("\
+          <input type='text' name='query'>\
+          <input type='text' name='title'>\
+          <input type='text' name='comment'>\
+        ");
+        this.$el.append(html);
+
+        return this;
+    }
+});
+
+DataBindView = Backbone.View.extend({
+    render:function () {
+        var html = $("\
+          <div id='doctor' data-bind='text doctor'>Seuss</div>\
+          <img id='avatar' data-bind='src url; class name'>\
+          <div id='showHideThing' data-bind='hidden isValid'></div>\
+          <input type='text' id='title' data-bind='title'>\
+          <span id='titleLabel' data-bind=' text title | upper ; '></span>\
+          <div id='custom' data-bind-custom='text doctor'></div>\
+        ");
+        this.$el.append(html);
+
+        return this;
+    }
+});
+
+ComputedView = Backbone.View.extend({
+    render:function () {
+        var html = $("\
+          <input type='text' name='fullName'>\
+          <span id='fullNameLabel'></span>\
+          <span id='summary'></span>\
+        ");
+        this.$el.append(html);
+
+        return this;
+    }
+});
+
+AdaptersView = Backbone.View.extend({
+    render:function () {
+        var html = $("\
+          <my-date-picker id='birthday'></my-date-picker>\
+          <div id='volume' data-role='slider'><span class='handle'></span></div>\
+          <input type='text' name='firstName'>\
+        ");
+        this.$el.append(html);
+
+        return this;
+    }
+});
+
+CounterModel = Backbone.Model.extend({
+    defaults: {count: 0, favourite: false},
+
+    increment: function(attr, by) {
+        this.set(attr, this.get(attr) + (by === undefined ? 1 : by));
+    },
+
+    toggleFavourite: function() {
+        this.set('favourite', !this.get('favourite'));
+    }
+});
+
+EventsView = Backbone.View.extend({
+    render:function () {
+        var html = $("\
+          <span id='count'></span>\
+          <button id='increment'>+</button>\
+          <button id='incrementByTen'>+10</button>\
+          <a id='favourite' href='#'><i class='icon'></i></a>\
+          <input type='text' name='comment'>\
+        ");
+        this.$el.append(html);
+
+        return this;
+    }
+});
+
+NamespacesView = Backbone.View.extend({
+    render:function () {
+        var html = $("\
+          <input type='checkbox' id='selectAll'>\
+          <div id='panel' class='panel'></div>\
+          <button id='toggle'>Toggle</button>\
+        ");
+        this.$el.append(html);
+
+        return this;
+    }
+});
+
+DirtyView = Backbone.View.extend({
+    render:function () {
+        var html = $("\
+          <input type='text' name='firstName'>\
+          <input type='text' name='lastName'>\
+          <span id='firstNameLabel'></span>\
+          <input type='text' name='fullName'>\
+          <button id='save'>Save</button>\
+        ");
+        this.$el.append(html);
+
+        return this;
+    }
+});
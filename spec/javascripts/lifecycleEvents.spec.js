@@ -0,0 +1,125 @@
+describe("ModelBinder events", function(){
+    beforeEach(function(){
+        this.model = new AModel({firstName: 'John', lastName: 'Smith'});
+        this.view = new SimpleView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+        this.handler = jasmine.createSpy('handler');
+
+        this.bind = function() {
+            this.modelBinder.bind(this.model, this.view.el, {
+                firstName: {selector: '[name=firstName]', filters: 'upper'},
+                lastName: '[name=lastName]'
+            }, {
+                filters: { upper: { toView: function(value) { return value && value.toUpperCase(); }, toModel: function(value) { return value && value.toLowerCase(); } } }
+            });
+        };
+
+        this.eventsFor = function(attr) {
+            return _.filter(_.pluck(this.handler.argsForCall, 0), function(event) { return event.attr === attr; });
+        };
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("triggers 'bind' and 'unbind'", function(){
+        this.modelBinder.on('bind', this.handler);
+        this.modelBinder.on('unbind', this.handler);
+
+        this.modelBinder.unbind();
+        expect(this.handler).not.toHaveBeenCalled();
+
+        this.bind();
+        expect(this.handler.mostRecentCall.args[0]).toBe(this.model);
+        expect(this.handler.mostRecentCall.args[1][0]).toBe(this.view.el);
+
+        this.modelBinder.unbind();
+        expect(this.handler).toHaveBeenCalledWith(this.model);
+        expect(this.handler.callCount).toBe(2);
+    });
+
+    describe("toView", function(){
+        it("passes raw and converted values", function(){
+            this.modelBinder.on('toView', this.handler);
+            this.bind();
+
+            var event = this.eventsFor('firstName')[0];
+            expect(event.value).toEqual('John');
+            expect(event.converted).toEqual({value: 'JOHN'});
+            expect(event.$elements.is('[name=firstName]')).toBe(true);
+        });
+
+        it("can be canceled", function(){
+            this.bind();
+            this.modelBinder.on('toView', this.handler);
+            this.modelBinder.on('beforeToView', function(event) {
+                if (event.attr === 'lastName') { event.cancel(); }
+            });
+
+            this.model.set({firstName: 'Jane', lastName: 'Doe'});
+
+            expect(this.view.$('[name=firstName]').val()).toEqual('JANE');
+            expect(this.view.$('[name=lastName]').val()).toEqual('Smith');
+            expect(this.eventsFor('lastName').length).toBe(0);
+        });
+    });
+
+    describe("toModel", function(){
+        it("passes raw and converted values", function(){
+            this.bind();
+            this.modelBinder.on('beforeToModel', this.handler);
+            this.modelBinder.on('toModel', this.handler);
+
+            this.view.$('[name=firstName]').val('JIM').trigger('change');
+
+            var events = this.eventsFor('firstName');
+            expect(events.length).toBe(2);
+            expect(events[1]).toBe(events[0]);
+            expect(events[0].value).toEqual('JIM');
+            expect(events[0].converted).toEqual('jim');
+            expect(events[0].$elements.is('[name=firstName]')).toBe(true);
+        });
+
+        it("can be canceled", function(){
+            this.bind();
+            this.modelBinder.on('toModel', this.handler);
+            this.modelBinder.on('beforeToModel', function(event) { event.cancel(); });
+
+            this.view.$('[name=lastName]').val('Doe').trigger('change');
+
+            expect(this.model.get('lastName')).toEqual('Smith');
+            expect(this.handler).not.toHaveBeenCalled();
+        });
+    });
+
+    it("does not trigger 'toModel' for values rejected by validation", function(){
+        var model = new ValidatedModel({age: '5'}),
+            view = new ValidationView({model: model});
+        view.render();
+        this.modelBinder.bind(model, view.el, {age: '[name=age]'}, {modelSetOptions: {validate: true}});
+        this.modelBinder.on('toModel', this.handler);
+
+        view.$('[name=age]').val('abc').trigger('change');
+        expect(model.get('age')).toEqual('5');
+        expect(this.handler).not.toHaveBeenCalled();
+
+        view.$('[name=age]').val('7').trigger('change');
+        expect(this.eventsFor('age')[0].converted).toEqual('7');
+    });
+
+    it("triggers 'error' when asynchronous filter fails", function(){
+        var deferred = $.Deferred();
+        this.modelBinder.bind(this.model, this.view.el, {
+            lastName: {selector: '[name=lastName]', filters: { toModel: function() { return deferred.promise(); } }}
+        });
+        this.modelBinder.on('error', this.handler);
+
+        this.view.$('[name=lastName]').val('Doe').trigger('change');
+        deferred.reject('server is down');
+
+        expect(this.handler).toHaveBeenCalledWith({direction: 'toModel', attrs: ['lastName'], error: 'server is down'});
+        expect(this.model.get('lastName')).toEqual('Smith');
+    });
+});
@@ -0,0 +1,207 @@
+describe("live bindings", function(){
+    beforeEach(function(){
+        this.model = new AModel({firstName: 'Bob', lastName: 'Smith'});
+        this.view = new SimpleView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+
+        this.bindings = {
+            firstName: '[name=firstName]',
+            nickname: '[name=nickname]',
+            lastName: {selector: '.lastName', elAttr: 'text'}
+        };
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("throws for empty bindings when not live", function(){
+        var binder = this.modelBinder, model = this.model, el = this.view.el, bindings = this.bindings;
+        expect(function(){ binder.bind(model, el, bindings); }).toThrow();
+    });
+
+    describe("refreshed manually", function(){
+        beforeEach(function(){
+            this.modelBinder.bind(this.model, this.view.el, this.bindings, {live: true});
+        });
+
+        it("allows bindings without elements", function(){
+            expect(this.view.$('[name=firstName]').val()).toEqual('Bob');
+        });
+
+        it("copies model value to added elements", function(){
+            this.view.$el.append("<input type='text' name='nickname'><span class='lastName'></span>");
+            this.model.set('nickname', 'Bobby');
+            this.modelBinder.refresh();
+
+            expect(this.view.$('[name=nickname]').val()).toEqual('Bobby');
+            expect(this.view.$('.lastName').text()).toEqual('Smith');
+        });
+
+        it("binds added elements in both directions", function(){
+            this.view.$el.append("<input type='text' name='nickname'>");
+            this.modelBinder.refresh();
+
+            this.model.set('nickname', 'Bob');
+            expect(this.view.$('[name=nickname]').val()).toEqual('Bob');
+
+            this.view.$('[name=nickname]').val('Robert').trigger('change');
+            expect(this.model.get('nickname')).toEqual('Robert');
+        });
+
+        it("does not re-render existing elements", function(){
+            this.view.$('[name=firstName]').val('typed');
+            this.view.$el.append("<span class='lastName'></span>");
+            this.modelBinder.refresh();
+
+            expect(this.view.$('[name=firstName]').val()).toEqual('typed');
+        });
+
+        it("releases removed elements", function(){
+            var removed = this.view.$('[name=firstName]').remove();
+            this.modelBinder.refresh();
+
+            this.model.set('firstName', 'Kerry');
+            expect(removed.val()).toEqual('Bob');
+        });
+
+        it("renders elements added again", function(){
+            var removed = this.view.$('[name=firstName]').detach();
+            this.modelBinder.refresh();
+
+            removed.val('reset');
+            this.view.$el.append(removed);
+            this.modelBinder.refresh();
+
+            expect(this.view.$('[name=firstName]').val()).toEqual('Bob');
+        });
+
+        it("moves element states to actual elements", function(){
+            this.model.validate = function(attrs) {
+                if (!attrs.firstName) { return {firstName: 'required'}; }
+            };
+            this.modelBinder.bind(this.model, this.view.el, {firstName: '[name=firstName]'}, {live: true, modelSetOptions: {validate: true}});
+
+            this.view.$('[name=firstName]').val('Kerry').trigger('change');
+            this.view.$('[name=firstName]').val('').trigger('change');
+            var removed = this.view.$('[name=firstName]').remove();
+            this.view.$el.append("<input type='text' name='firstName'>");
+            this.modelBinder.refresh();
+
+            expect(removed.attr('class')).toEqual('');
+            expect(removed.attr('aria-invalid')).toBeUndefined();
+            expect(this.view.$('[name=firstName]').hasClass('invalid')).toBe(true);
+            expect(this.view.$('[name=firstName]').hasClass('dirty')).toBe(true);
+        });
+    });
+
+    describe("refreshed without live option", function(){
+        beforeEach(function(){
+            this.modelBinder.bind(this.model, this.view.el, {
+                firstName: '[name=firstName]',
+                lastName: {selector: '[name=lastName]'}
+            });
+        });
+
+        it("throws when selector matches no elements, but refreshes other bindings", function(){
+            var binder = this.modelBinder,
+                removed = this.view.$('[name=firstName]').detach();
+            this.view.$el.append("<input type='text' name='lastName'>");
+
+            expect(function(){ binder.refresh(); }).toThrow();
+            expect(this.view.$('[name=lastName]').last().val()).toEqual('Smith');
+
+            // binding keeps its elements
+            removed.val('Kerry');
+            binder.toModel(removed);
+            expect(this.model.get('firstName')).toEqual('Kerry');
+        });
+    });
+
+    describe("generated", function(){
+        it("binds new attributes by convention", function(){
+            this.model.set('nickname', 'Bobby');
+            this.modelBinder.bind(this.model, this.view.el, null, {live: true});
+
+            this.view.$el.append("<input type='text' name='nickname'>");
+            this.modelBinder.refresh();
+            expect(this.view.$('[name=nickname]').val()).toEqual('Bobby');
+
+            this.view.$('[name=nickname]').val('Robert').trigger('change');
+            expect(this.model.get('nickname')).toEqual('Robert');
+        });
+
+        it("binds new attributes by convention along with explicit bindings", function(){
+            this.modelBinder.bind(this.model, this.view.el, {lastName: {selector: '.lastName', elAttr: 'text'}}, {live: true, useDefaults: true});
+
+            this.view.$el.append("<input type='text' name='nickname'><span class='lastName'></span>");
+            this.modelBinder.refresh();
+            this.modelBinder.refresh();
+
+            this.model.set('nickname', 'Bob');
+            expect(this.view.$('[name=nickname]').val()).toEqual('Bob');
+            expect(this.view.$('.lastName').text()).toEqual('Smith');
+            expect(this.modelBinder.getStats().skippedWrites).toBe(0);
+        });
+
+        describe("by parseBindings", function(){
+            beforeEach(function(){
+                this.el = $("<div><input type='text' data-bind='firstName'></div>");
+                this.modelBinder.bind(this.model, this.el, Backbone.ModelBinder.parseBindings(this.el), {live: true});
+            });
+
+            it("binds new declarations", function(){
+                this.el.append("<span data-bind='text lastName'></span><input type='text' data-bind='nickname'>");
+                this.modelBinder.refresh();
+                this.modelBinder.refresh();
+                expect(this.el.find('span').text()).toEqual('Smith');
+
+                this.el.find('[data-bind=nickname]').val('Robert').trigger('change');
+                expect(this.model.get('nickname')).toEqual('Robert');
+
+                this.model.set('lastName', 'Black');
+                expect(this.el.find('span').text()).toEqual('Black');
+                expect(this.modelBinder.getStats()).toEqual({writes: 5, skippedWrites: 0});
+            });
+
+            it("releases removed elements and binds them when added again", function(){
+                var removed = this.el.find('[data-bind=firstName]').detach();
+                this.modelBinder.refresh();
+
+                this.model.set('firstName', 'Kerry');
+                expect(removed.val()).toEqual('Bob');
+
+                this.el.append(removed);
+                this.modelBinder.refresh();
+                expect(removed.val()).toEqual('Kerry');
+
+                removed.val('Jim').trigger('change');
+                expect(this.model.get('firstName')).toEqual('Jim');
+            });
+        });
+    });
+
+    it("refreshes automatically when DOM is changed", function(){
+        var view = this.view;
+        this.modelBinder.bind(this.model, this.view.el, this.bindings, {live: true});
+
+        view.$el.append("<div><span class='lastName'></span></div>");
+
+        waitsFor(function(){ return view.$('.lastName').text() === 'Smith'; }, 'added element to be rendered', 500);
+    });
+
+    it("stops observing DOM on unbind", function(){
+        var view = this.view, done = false;
+        this.modelBinder.bind(this.model, this.view.el, this.bindings, {live: true});
+        this.modelBinder.unbind();
+
+        view.$el.append("<span class='lastName'></span>");
+        setTimeout(function(){ done = true; }, 50);
+
+        waitsFor(function(){ return done; });
+        runs(function(){
+            expect(view.$('.lastName').text()).toEqual('');
+        });
+    });
+});
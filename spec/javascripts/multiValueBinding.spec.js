@@ -0,0 +1,89 @@
+describe("multi-value bindings", function(){
+    beforeEach(function(){
+        this.model = new AModel({
+            tags: ['sport'],
+            favourites: [1],
+            colors: ['red', 'blue']
+        });
+        this.view = new MultiValueView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+        this.modelBinder.bind(this.model, this.view.el);
+
+        this.checkedValues = function(selector) {
+            return _.pluck(this.view.$(selector).filter(':checked'), 'value');
+        };
+    });
+
+    describe("checkbox group", function(){
+        it("checks boxes whose values are in array on render", function(){
+            expect(this.checkedValues('[name=tags]')).toEqual(['sport']);
+        });
+
+        it("checks boxes when model array changes", function(){
+            this.model.set('tags', ['news', 'music']);
+            expect(this.checkedValues('[name=tags]')).toEqual(['news', 'music']);
+
+            this.model.set('tags', []);
+            expect(this.checkedValues('[name=tags]')).toEqual([]);
+        });
+
+        it("sets a new array when box is checked", function(){
+            var originalTags = this.model.get('tags'),
+                changeCount = 0;
+            this.model.on('change:tags', function(){ changeCount++; });
+
+            this.view.$('[name=tags][value=news]').prop('checked', true).trigger('change');
+
+            expect(this.model.get('tags')).toEqual(['news', 'sport']);
+            expect(this.model.get('tags')).not.toBe(originalTags);
+            expect(originalTags).toEqual(['sport']);
+            expect(changeCount).toBe(1);
+        });
+
+        it("sets a new array when box is unchecked", function(){
+            this.view.$('[name=tags][value=sport]').prop('checked', false).trigger('change');
+            expect(this.model.get('tags')).toEqual([]);
+        });
+
+        it("treats single checkbox as a group when bound to array attribute", function(){
+            expect(this.view.$('[name=favourites]').prop('checked')).toBe(true);
+
+            this.view.$('[name=favourites]').prop('checked', false).trigger('change');
+            expect(this.model.get('favourites')).toEqual([]);
+        });
+
+        it("is read once on whole view copy", function(){
+            this.view.$('[name=tags]').prop('checked', true);
+            this.modelBinder.toModel('tags');
+            expect(this.model.get('tags')).toEqual(['news', 'sport', 'music']);
+        });
+    });
+
+    describe("multiple select", function(){
+        it("selects options whose values are in array on render", function(){
+            expect(this.view.$('[name=colors]').val()).toEqual(['red', 'blue']);
+        });
+
+        it("selects options when model array changes", function(){
+            this.model.set('colors', ['green']);
+            expect(this.view.$('[name=colors]').val()).toEqual(['green']);
+        });
+
+        it("deselects all options for empty value", function(){
+            this.model.set('colors', null);
+            expect(this.view.$('[name=colors]').val()).toBeNull();
+        });
+
+        it("sets a new array when selection changes", function(){
+            this.view.$('[name=colors] option[value=green]').prop('selected', true);
+            this.view.$('[name=colors]').trigger('change');
+            expect(this.model.get('colors')).toEqual(['red', 'green', 'blue']);
+        });
+
+        it("sets an empty array when nothing is selected", function(){
+            this.view.$('[name=colors]').val([]).trigger('change');
+            expect(this.model.get('colors')).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,85 @@
+describe("nested attributes binding", function(){
+    beforeEach(function(){
+        this.address = {city: 'Kyiv', geo: {zip: '01001'}};
+        this.model = new AModel({
+            firstName: 'Bob',
+            address: this.address,
+            items: [{label: 'first'}, {label: 'second'}]
+        });
+        this.view = new NestedAttributesView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+    });
+
+    describe("with default bindings", function(){
+        beforeEach(function(){
+            this.modelBinder.bind(this.model, this.view.el);
+        });
+
+        it("copies nested values to view on bind", function(){
+            expect(this.view.$('[name="address.city"]').val()).toEqual('Kyiv');
+            expect(this.view.$('[name="address.geo.zip"]').val()).toEqual('01001');
+        });
+
+        it("writes view changes into nested object", function(){
+            this.view.$('[name="address.city"]').val('Lviv').trigger('change');
+
+            expect(this.model.get('address')).toEqual({city: 'Lviv', geo: {zip: '01001'}});
+            expect(this.model.has('address.city')).toBe(false);
+        });
+
+        it("does not mutate the original nested objects", function(){
+            this.view.$('[name="address.geo.zip"]').val('79000').trigger('change');
+
+            expect(this.model.get('address')).not.toBe(this.address);
+            expect(this.model.get('address').geo.zip).toEqual('79000');
+            expect(this.address.geo.zip).toEqual('01001');
+        });
+
+        it("fires model change event for the root attribute", function(){
+            var changed = [];
+            this.model.on('change', function(model){ changed = _.keys(model.changedAttributes()); });
+
+            this.view.$('[name="address.city"]').val('Odesa').trigger('change');
+            expect(changed).toEqual(['address']);
+        });
+
+        it("updates view when ancestor object is replaced", function(){
+            this.model.set('address', {city: 'Kharkiv', geo: {zip: '61000'}});
+
+            expect(this.view.$('[name="address.city"]').val()).toEqual('Kharkiv');
+            expect(this.view.$('[name="address.geo.zip"]').val()).toEqual('61000');
+        });
+
+        it("creates missing nested objects", function(){
+            this.model.unset('address');
+            expect(this.view.$('[name="address.city"]').val()).toEqual('');
+
+            this.view.$('[name="address.geo.zip"]').val('61000').trigger('change');
+            expect(this.model.get('address')).toEqual({geo: {zip: '61000'}});
+        });
+    });
+
+    describe("with array indexes in path", function(){
+        beforeEach(function(){
+            this.modelBinder.bind(this.model, this.view.el, {
+                'items.0.label': {selector: '#firstItemLabel', elAttr: 'text'}
+            });
+        });
+
+        it("reads array element", function(){
+            expect(this.view.$('#firstItemLabel').text()).toEqual('first');
+        });
+
+        it("re-renders when array is replaced", function(){
+            this.model.set('items', [{label: 'replaced'}]);
+            expect(this.view.$('#firstItemLabel').text()).toEqual('replaced');
+        });
+
+        it("re-renders when path is passed to toView explicitly", function(){
+            this.model.get('items')[0].label = 'mutated';
+            this.modelBinder.toView('items');
+            expect(this.view.$('#firstItemLabel').text()).toEqual('mutated');
+        });
+    });
+});
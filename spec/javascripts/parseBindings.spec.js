@@ -0,0 +1,100 @@
+describe("parsing declarative bindings", function(){
+    beforeEach(function(){
+        this.model = new AModel({doctor: 'Who', url: 'avatar.png', name: 'avatar', isValid: false, title: 'Mr'});
+        this.view = new DataBindView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+
+        this.filters = {
+            upper: {toView: function(value) { return String(value).toUpperCase(); }}
+        };
+    });
+
+    describe("created bindings", function(){
+        beforeEach(function(){
+            this.bindings = Backbone.ModelBinder.parseBindings(this.view.el, {filters: this.filters});
+        });
+
+        it("have a key per model attribute", function(){
+            expect(_.keys(this.bindings).sort()).toEqual(['doctor', 'isValid', 'name', 'title', 'url']);
+        });
+
+        it("are bound to declaring elements", function(){
+            expect(this.bindings.doctor.boundEls[0]).toBe(this.view.$('#doctor')[0]);
+            expect(this.bindings.doctor.elAttr).toEqual({text: true});
+        });
+
+        it("use 'value' elAttr when only model attribute is declared", function(){
+            expect(this.bindings.title[0].elAttr).toEqual({value: true});
+        });
+
+        it("merge several elements bound to the same attribute", function(){
+            expect(this.bindings.title.length).toBe(2);
+            expect(this.bindings.title[1].boundEls[0]).toBe(this.view.$('#titleLabel')[0]);
+        });
+    });
+
+    describe("bound to model", function(){
+        beforeEach(function(){
+            this.modelBinder.bind(this.model, this.view.el, Backbone.ModelBinder.parseBindings(this.view.el, {filters: this.filters}));
+        });
+
+        it("update view from model", function(){
+            expect(this.view.$('#doctor').text()).toEqual('Who');
+            expect(this.view.$('#avatar').attr('src')).toEqual('avatar.png');
+            expect(this.view.$('#avatar').hasClass('avatar')).toBe(true);
+            expect(this.view.$('#title').val()).toEqual('Mr');
+        });
+
+        it("apply filters", function(){
+            expect(this.view.$('#titleLabel').text()).toEqual('MR');
+            this.model.set('title', 'Dr');
+            expect(this.view.$('#titleLabel').text()).toEqual('DR');
+        });
+
+        it("update model from view", function(){
+            this.view.$('#title').val('Sir').trigger('change');
+            expect(this.model.get('title')).toEqual('Sir');
+        });
+    });
+
+    it("accepts filters chains", function(){
+        Backbone.ModelBinder.registerFilter('suffix', function(value, suffix) { return value + suffix; });
+
+        try {
+            var el = $('<div><span id="chain" data-bind="text title | upper | suffix:\'; |\'; class name"></span></div>');
+            this.modelBinder = new Backbone.ModelBinder();
+            this.modelBinder.bind(this.model, el, Backbone.ModelBinder.parseBindings(el, {filters: this.filters}));
+
+            expect(el.find('#chain').text()).toEqual('MR; |');
+            expect(el.find('#chain').hasClass('avatar')).toBe(true);
+        } finally {
+            Backbone.ModelBinder.unregisterFilter('suffix');
+        }
+    });
+
+    it("reads configurable attribute", function(){
+        var bindings = Backbone.ModelBinder.parseBindings(this.view.el, {boundAttr: 'data-bind-custom'});
+        expect(_.keys(bindings)).toEqual(['doctor']);
+        expect(bindings.doctor.boundEls[0]).toBe(this.view.$('#custom')[0]);
+    });
+
+    describe("errors", function(){
+        beforeEach(function(){
+            var el = this.el = $('<div><span id="broken"></span></div>');
+            this.parse = function(declaration) {
+                el.find('#broken').attr('data-bind', declaration);
+                return function() { Backbone.ModelBinder.parseBindings(el); };
+            };
+        });
+
+        it("are thrown for unknown filters", function(){
+            expect(this.parse('text name | unknown')).toThrow('Bindings parse error: unknown filter "unknown"\nElement: <span id="broken" data-bind="text name | unknown"></span>');
+        });
+
+        it("are thrown for malformed clauses", function(){
+            expect(this.parse('text name extra')).toThrow();
+            expect(this.parse('text name | ')).toThrow();
+        });
+    });
+});
@@ -0,0 +1,119 @@
+describe("redundant view writes", function(){
+    beforeEach(function(){
+        this.model = new AModel({firstName: 'John', lastName: 'Smith', status: 'new', tags: ['a']});
+        this.view = new SimpleView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+
+        var texts = this.texts = [];
+        this.binders = {
+            text: function($el, value) {
+                texts.push(value);
+                $el.text(value);
+            }
+        };
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("are skipped when value is already rendered", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            firstName: [{selector: '#firstName', elAttr: 'text'}, {selector: '[name=firstName]'}]
+        }, {binders: this.binders});
+
+        this.modelBinder.toView();
+        this.model.set('firstName', 'Jane');
+        this.modelBinder.toView('firstName');
+
+        expect(this.texts).toEqual(['John', 'Jane']);
+        expect(this.modelBinder.getStats()).toEqual({writes: 4, skippedWrites: 4});
+    });
+
+    it("are not skipped when element value was changed without event", function(){
+        this.modelBinder.bind(this.model, this.view.el, {firstName: '[name=firstName]'});
+
+        this.view.$('[name=firstName]').val('typed');
+        this.modelBinder.toView();
+        expect(this.view.$('[name=firstName]').val()).toEqual('John');
+        expect(this.model.get('firstName')).toEqual('John');
+    });
+
+    it("are not skipped when checkbox was changed without event", function(){
+        this.model.set('isActive', true);
+        this.modelBinder.bind(this.model, this.view.el, {isActive: '[name=isActive]'});
+        expect(this.view.$('[name=isActive]').prop('checked')).toBe(true);
+
+        this.view.$('[name=isActive]').prop('checked', false);
+        this.modelBinder.toView('isActive');
+        expect(this.view.$('[name=isActive]').prop('checked')).toBe(true);
+    });
+
+    it("are skipped per element attribute", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            status: {selector: '[name=firstName]', elAttr: {title: true, value: {toView: function() { return 'fixed'; }}}}
+        });
+
+        var $el = this.view.$('[name=firstName]');
+        $el[0].value = 'fixed';
+        spyOn($.fn, 'val').andCallThrough();
+
+        this.model.set('status', 'old');
+        expect($el.attr('title')).toEqual('old');
+        expect(_.filter($.fn.val.argsForCall, function(args) { return args.length > 0; })).toEqual([]);
+    });
+
+    it("compare objects deeply", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            tags: {selector: '#address', elAttr: 'data:tags'}
+        });
+
+        var tags = this.model.get('tags');
+        tags.push('b');
+        this.modelBinder.toView('tags');
+        expect(this.view.$('#address').attr('data-tags')).toEqual('["a","b"]');
+
+        this.modelBinder.toView('tags');
+        expect(this.modelBinder.getStats()).toEqual({writes: 2, skippedWrites: 1});
+    });
+
+    it("are not skipped for bindings with alwaysUpdate option", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            firstName: {selector: '#firstName', elAttr: 'text', alwaysUpdate: true}
+        }, {binders: this.binders});
+
+        this.modelBinder.toView();
+        expect(this.texts).toEqual(['John', 'John']);
+    });
+
+    it("are not skipped after user changed element", function(){
+        this.model.validate = function(attrs) {
+            if (attrs.firstName === 'bad') { return 'invalid name'; }
+        };
+        this.modelBinder.bind(this.model, this.view.el, {
+            firstName: '[name=firstName]'
+        }, {modelSetOptions: {validate: true}, validation: {policy: 'revert'}});
+
+        this.view.$('[name=firstName]').val('bad').trigger('change');
+        expect(this.model.get('firstName')).toEqual('John');
+        expect(this.view.$('[name=firstName]').val()).toEqual('John');
+    });
+
+    it("are not skipped after rebind", function(){
+        this.modelBinder.bind(this.model, this.view.el, {firstName: {selector: '#firstName', elAttr: 'text'}}, {binders: this.binders});
+        this.modelBinder.bind(this.model, this.view.el, {firstName: {selector: '#firstName', elAttr: 'text'}}, {binders: this.binders});
+
+        expect(this.texts).toEqual(['John', 'John']);
+    });
+
+    it("are counted", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            firstName: [{selector: '#firstName', elAttr: 'text'}, {selector: '[name=firstName]'}]
+        });
+        expect(this.modelBinder.getStats()).toEqual({writes: 2, skippedWrites: 0});
+
+        this.modelBinder.toView();
+        expect(this.modelBinder.getStats()).toEqual({writes: 2, skippedWrites: 2});
+    });
+});
@@ -0,0 +1,116 @@
+describe("runtime bindings changes", function(){
+    beforeEach(function(){
+        this.model = new AModel({firstName: 'John', lastName: 'Smith', address: 'Main st'});
+        this.view = new SimpleView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+        this.modelBinder.bind(this.model, this.view.el, {firstName: '[name=firstName]'});
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    describe("addBinding", function(){
+        it("binds new attribute both ways", function(){
+            this.modelBinder.addBinding('lastName', '[name=lastName]');
+            expect(this.view.$('[name=lastName]').val()).toEqual('Smith');
+
+            this.view.$('[name=lastName]').val('Doe').trigger('change');
+            expect(this.model.get('lastName')).toEqual('Doe');
+
+            this.model.set('lastName', 'Black');
+            expect(this.view.$('[name=lastName]').val()).toEqual('Black');
+        });
+
+        it("copies value to added elements only", function(){
+            this.view.$('[name=firstName]').val('typed');
+            this.modelBinder.addBinding('firstName', {selector: '#firstName', elAttr: 'text'});
+
+            expect(this.view.$('#firstName').text()).toEqual('John');
+            expect(this.view.$('[name=firstName]').val()).toEqual('typed');
+        });
+
+        it("adds element bindings to existing attribute", function(){
+            this.modelBinder.addBinding('firstName', [{selector: '#firstName', elAttr: 'text'}, {selector: '#address', elAttr: 'title'}]);
+
+            this.view.$('[name=firstName]').val('Jane').trigger('change');
+            expect(this.view.$('#firstName').text()).toEqual('Jane');
+            expect(this.view.$('#address').attr('title')).toEqual('Jane');
+        });
+
+        it("supports own triggers and event handlers", function(){
+            var clicks = 0;
+            this.modelBinder.addBinding('lastName', [
+                {selector: '[name=lastName]', trigger: 'keyup'},
+                {selector: '#lastName', elAttr: {'on:click': function() { clicks++; }}}
+            ]);
+
+            this.view.$('[name=lastName]').val('Doe').trigger('keyup');
+            this.view.$('#lastName').click();
+            expect(this.model.get('lastName')).toEqual('Doe');
+            expect(clicks).toBe(1);
+        });
+
+        it("throws if ModelBinder is not bound", function(){
+            var modelBinder = new Backbone.ModelBinder();
+            expect(function(){ modelBinder.addBinding('lastName', '[name=lastName]'); }).toThrow();
+        });
+    });
+
+    describe("removeBinding", function(){
+        beforeEach(function(){
+            this.modelBinder.addBinding('firstName', {selector: '#firstName', elAttr: 'text'});
+            this.modelBinder.addBinding('lastName', [{selector: '[name=lastName]', trigger: 'keyup'}, {selector: '#lastName', elAttr: 'text'}]);
+        });
+
+        it("unbinds all element bindings of attribute", function(){
+            this.modelBinder.removeBinding('lastName');
+
+            this.model.set('lastName', 'Black');
+            expect(this.view.$('#lastName').text()).toEqual('Smith');
+
+            this.view.$('[name=lastName]').val('Doe').trigger('keyup').trigger('change');
+            expect(this.model.get('lastName')).toEqual('Black');
+        });
+
+        it("unbinds element bindings with given selector only", function(){
+            this.modelBinder.removeBinding('firstName', '[name=firstName]');
+
+            this.view.$('[name=firstName]').val('Jane').trigger('change');
+            expect(this.model.get('firstName')).toEqual('John');
+
+            this.model.set('firstName', 'Jim');
+            expect(this.view.$('#firstName').text()).toEqual('Jim');
+            expect(this.view.$('[name=firstName]').val()).toEqual('Jane');
+        });
+
+        it("ignores unknown attributes and selectors", function(){
+            var modelBinder = this.modelBinder;
+            expect(function(){
+                modelBinder.removeBinding('unknown');
+                modelBinder.removeBinding('firstName', '.unknown');
+            }).not.toThrow();
+        });
+
+        it("calls destroy hooks of binders", function(){
+            var destroyed = [];
+            this.modelBinder.binders.widget = {
+                update: $.noop,
+                destroy: function($el) { destroyed.push($el.attr('id')); }
+            };
+            this.modelBinder.addBinding('address', {selector: '#address', elAttr: 'widget'});
+            this.modelBinder.removeBinding('address');
+
+            expect(destroyed).toEqual(['address']);
+        });
+
+        it("allows to add binding again", function(){
+            this.modelBinder.removeBinding('lastName');
+            this.modelBinder.addBinding('lastName', {selector: '#lastName', elAttr: 'text'});
+
+            this.model.set('lastName', 'Black');
+            expect(this.view.$('#lastName').text()).toEqual('Black');
+        });
+    });
+});
@@ -0,0 +1,85 @@
+describe("setModel", function(){
+    beforeEach(function(){
+        this.model = new AModel({firstName: 'John', lastName: 'Smith'});
+        this.otherModel = new AModel({firstName: 'Jane', lastName: 'Doe'});
+        this.view = new SimpleView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+        this.modelBinder.bind(this.model, this.view.el);
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+    });
+
+    it("renders values of new model", function(){
+        this.modelBinder.setModel(this.otherModel);
+
+        expect(this.view.$('[name=firstName]').val()).toEqual('Jane');
+        expect(this.view.$('[name=lastName]').val()).toEqual('Doe');
+    });
+
+    it("moves listeners to new model", function(){
+        this.modelBinder.setModel(this.otherModel);
+
+        this.model.set('firstName', 'Jim');
+        expect(this.view.$('[name=firstName]').val()).toEqual('Jane');
+
+        this.otherModel.set('firstName', 'Joan');
+        expect(this.view.$('[name=firstName]').val()).toEqual('Joan');
+
+        this.view.$('[name=lastName]').val('Black').trigger('change');
+        expect(this.otherModel.get('lastName')).toEqual('Black');
+        expect(this.model.get('lastName')).toEqual('Smith');
+    });
+
+    it("does not resolve bindings again", function(){
+        spyOn(Backbone.ModelBinder, 'createDefaultBindings').andCallThrough();
+        spyOn(this.modelBinder, '_initElBindings').andCallThrough();
+
+        this.modelBinder.setModel(this.otherModel);
+
+        expect(Backbone.ModelBinder.createDefaultBindings).not.toHaveBeenCalled();
+        expect(this.modelBinder._initElBindings).not.toHaveBeenCalled();
+    });
+
+    it("keeps view values if asked", function(){
+        this.modelBinder.setModel(this.otherModel, {keepViewValues: true});
+
+        expect(this.view.$('[name=firstName]').val()).toEqual('John');
+        expect(this.otherModel.get('firstName')).toEqual('Jane');
+
+        this.otherModel.set('lastName', 'Black');
+        expect(this.view.$('[name=lastName]').val()).toEqual('Black');
+    });
+
+    it("triggers 'setModel' event", function(){
+        var handler = jasmine.createSpy('setModel');
+        this.modelBinder.on('setModel', handler);
+
+        this.modelBinder.setModel(this.otherModel);
+        this.modelBinder.setModel(this.otherModel);
+
+        expect(handler.callCount).toBe(1);
+        expect(handler).toHaveBeenCalledWith(this.otherModel, this.model);
+    });
+
+    it("delivers view changes pending on trigger to previous model", function(){
+        jasmine.Clock.useMock();
+        this.modelBinder.bind(this.model, this.view.el, {firstName: {selector: '[name=firstName]', trigger: 'input', debounce: 100}});
+
+        this.view.$('[name=firstName]').val('Jim').trigger('input');
+        this.modelBinder.setModel(this.otherModel);
+        jasmine.Clock.tick(100);
+
+        expect(this.model.get('firstName')).toEqual('Jim');
+        expect(this.otherModel.get('firstName')).toEqual('Jane');
+        expect(this.view.$('[name=firstName]').val()).toEqual('Jane');
+    });
+
+    it("throws if ModelBinder is not bound", function(){
+        var modelBinder = new Backbone.ModelBinder(),
+            model = this.otherModel;
+        expect(function(){ modelBinder.setModel(model); }).toThrow();
+    });
+});
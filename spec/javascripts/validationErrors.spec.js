@@ -0,0 +1,133 @@
+describe("validation errors", function(){
+    beforeEach(function(){
+        this.model = new ValidatedModel({age: '20', email: 'bob@mail.com'});
+        this.view = new ValidationView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+
+        this.bind = function(options) {
+            this.modelBinder.bind(this.model, this.view.el, {
+                age: [{selector: '[name=age]'}, {selector: '#ageLabel', elAttr: 'text'}],
+                email: '[name=email]'
+            }, _.extend({modelSetOptions: {validate: true}}, options));
+        };
+    });
+
+    describe("with default options", function(){
+        beforeEach(function(){
+            this.bind();
+            this.view.$('[name=age]').val('twenty').trigger('change');
+        });
+
+        it("marks elements bound to invalid attribute", function(){
+            var el = this.view.$('[name=age]');
+            expect(el.hasClass('invalid')).toBe(true);
+            expect(el.attr('aria-invalid')).toEqual('true');
+        });
+
+        it("does not mark other elements", function(){
+            expect(this.view.$('[name=email]').hasClass('invalid')).toBe(false);
+            expect(this.view.$('#ageLabel').hasClass('invalid')).toBe(false);
+        });
+
+        it("keeps invalid input", function(){
+            expect(this.view.$('[name=age]').val()).toEqual('twenty');
+            expect(this.model.get('age')).toEqual('20');
+        });
+
+        it("clears errors when valid value is set", function(){
+            this.view.$('[name=age]').val('21').trigger('change');
+
+            var el = this.view.$('[name=age]');
+            expect(el.hasClass('invalid')).toBe(false);
+            expect(el.attr('aria-invalid')).toBeUndefined();
+        });
+
+        it("clears errors when valid value equal to the model one is set", function(){
+            this.view.$('[name=age]').val('20').trigger('change');
+            expect(this.view.$('[name=age]').hasClass('invalid')).toBe(false);
+        });
+
+        it("replaces errors on next validation", function(){
+            this.view.$('[name=email]').val('bob').trigger('change');
+            expect(this.view.$('[name=email]').hasClass('invalid')).toBe(true);
+            expect(this.view.$('[name=age]').hasClass('invalid')).toBe(false);
+        });
+
+        it("clears errors on unbind", function(){
+            this.modelBinder.unbind();
+            expect(this.view.$('[name=age]').hasClass('invalid')).toBe(false);
+        });
+    });
+
+    it("shows messages in message targets", function(){
+        this.bind({validation: {messageTarget: 'data-error-for'}});
+
+        this.view.$('[name=age]').val('twenty').trigger('change');
+        expect(this.view.$('[data-error-for=age]').text()).toEqual('Age must be a number');
+
+        this.view.$('[name=age]').val('30').trigger('change');
+        expect(this.view.$('[data-error-for=age]').text()).toEqual('');
+    });
+
+    it("accepts function as message target", function(){
+        var label = this.view.$('#ageLabel');
+        this.bind({validation: {messageTarget: function(attrName){ return attrName === 'email' ? label : null; }}});
+
+        this.view.$('[name=email]').val('bob').trigger('change');
+        expect(label.text()).toEqual('Email is invalid');
+    });
+
+    it("uses configured error class", function(){
+        this.bind({validation: {errorClass: 'has-error', ariaInvalid: false}});
+
+        this.view.$('[name=age]').val('twenty').trigger('change');
+        expect(this.view.$('[name=age]').hasClass('has-error')).toBe(true);
+        expect(this.view.$('[name=age]').attr('aria-invalid')).toBeUndefined();
+    });
+
+    it("reverts invalid input with 'revert' policy", function(){
+        this.bind({validation: {policy: 'revert'}});
+
+        this.view.$('[name=age]').val('twenty').trigger('change');
+        expect(this.view.$('[name=age]').val()).toEqual('20');
+        expect(this.view.$('[name=age]').hasClass('invalid')).toBe(true);
+    });
+
+    it("relates not attribute-specific errors to attributes being set", function(){
+        this.model.validate = function(attrs) {
+            return attrs.email === 'bob' ? 'Wrong!' : undefined;
+        };
+        this.bind({validation: {messageTarget: 'data-error-for'}});
+
+        this.view.$('[name=email]').val('bob').trigger('change');
+        expect(this.view.$('[name=email]').hasClass('invalid')).toBe(true);
+        expect(this.view.$('[name=age]').hasClass('invalid')).toBe(false);
+    });
+
+    it("recognizes array of errors", function(){
+        this.model.validate = function() {
+            return [{attr: 'age', message: 'Too old'}, {name: 'email', message: 'Too long'}];
+        };
+        this.bind();
+
+        this.view.$('[name=age]').val('200').trigger('change');
+        expect(this.view.$('[name=age]').hasClass('invalid')).toBe(true);
+        expect(this.view.$('[name=email]').hasClass('invalid')).toBe(true);
+    });
+
+    it("displays errors of explicit model validation", function(){
+        this.bind();
+        this.model.set({email: 'bob'}, {silent: true});
+        this.model.isValid();
+
+        expect(this.view.$('[name=email]').hasClass('invalid')).toBe(true);
+    });
+
+    it("can be disabled", function(){
+        this.bind({validation: false});
+
+        this.view.$('[name=age]').val('twenty').trigger('change');
+        expect(this.view.$('[name=age]').hasClass('invalid')).toBe(false);
+    });
+});
@@ -0,0 +1,115 @@
+describe("value adapters", function(){
+    beforeEach(function(){
+        this.model = new AModel({birthday: '2000-01-01', volume: 5, firstName: 'John'});
+        this.view = new AdaptersView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+
+        // custom element, keeping its value in a property
+        Backbone.ModelBinder.registerAdapter('datePicker', {
+            match: 'my-date-picker',
+            read: function($el) { return $el[0].date; },
+            write: function($el, value) { $el[0].date = value; },
+            events: 'date-change'
+        });
+
+        // widget, keeping its value in jQuery data
+        Backbone.ModelBinder.registerAdapter('slider', {
+            match: function($el) { return $el.attr('data-role') === 'slider'; },
+            read: function($el) { return $el.data('value'); },
+            write: function($el, value) { $el.data('value', value); },
+            events: 'slidechange'
+        });
+    });
+
+    afterEach(function(){
+        this.modelBinder.unbind();
+        Backbone.ModelBinder.unregisterAdapter('datePicker');
+        Backbone.ModelBinder.unregisterAdapter('slider');
+    });
+
+    describe("bound to custom elements", function(){
+        beforeEach(function(){
+            this.modelBinder.bind(this.model, this.view.el, {
+                birthday: '#birthday',
+                volume: '#volume',
+                firstName: '[name=firstName]'
+            });
+        });
+
+        it("write model values", function(){
+            expect(this.view.$('#birthday')[0].date).toEqual('2000-01-01');
+            expect(this.view.$('#volume').data('value')).toBe(5);
+
+            this.model.set('volume', 7);
+            expect(this.view.$('#volume').data('value')).toBe(7);
+        });
+
+        it("read values on adapter events", function(){
+            this.view.$('#birthday')[0].date = '2001-02-03';
+            this.view.$('#birthday').trigger('date-change');
+            expect(this.model.get('birthday')).toEqual('2001-02-03');
+        });
+
+        it("read values on events of widget descendants", function(){
+            this.view.$('#volume').data('value', 9);
+            this.view.$('#volume .handle').trigger('slidechange');
+            expect(this.model.get('volume')).toBe(9);
+        });
+
+        it("make elements editable", function(){
+            this.view.$('#volume').data('value', 3);
+            this.modelBinder.toModel();
+            expect(this.model.get('volume')).toBe(3);
+        });
+
+        it("do not affect other elements", function(){
+            expect(this.view.$('[name=firstName]').val()).toEqual('John');
+
+            this.view.$('[name=firstName]').val('Jane').trigger('change');
+            expect(this.model.get('firstName')).toEqual('Jane');
+        });
+
+        it("events are not handled after unbind", function(){
+            this.modelBinder.unbind();
+            this.view.$('#birthday')[0].date = '2001-02-03';
+            this.view.$('#birthday').trigger('date-change');
+            expect(this.model.get('birthday')).toEqual('2000-01-01');
+        });
+    });
+
+    it("take precedence over built-in adapters", function(){
+        Backbone.ModelBinder.registerAdapter('upperField', {
+            match: '[name=firstName]',
+            write: function($el, value) { $el.val(String(value).toUpperCase()); }
+        });
+
+        try {
+            this.modelBinder.bind(this.model, this.view.el, {firstName: '[name=firstName]'});
+            expect(this.view.$('[name=firstName]').val()).toEqual('JOHN');
+        } finally {
+            Backbone.ModelBinder.unregisterAdapter('upperField');
+        }
+    });
+
+    it("can override built-in adapters", function(){
+        var field = Backbone.ModelBinder.getAdapter('field');
+        Backbone.ModelBinder.registerAdapter('field', _.extend({}, field, {
+            read: function($el) { return $.trim($el.val()); }
+        }), {override: true});
+
+        try {
+            this.modelBinder.bind(this.model, this.view.el, {firstName: '[name=firstName]'});
+            this.view.$('[name=firstName]').val(' Jane ').trigger('change');
+            expect(this.model.get('firstName')).toEqual('Jane');
+        } finally {
+            Backbone.ModelBinder.registerAdapter('field', field, {override: true});
+        }
+    });
+
+    it("are validated on registration", function(){
+        expect(function(){ Backbone.ModelBinder.registerAdapter('slider', {match: '*', read: $.noop}); }).toThrow();
+        expect(function(){ Backbone.ModelBinder.registerAdapter('nomatch', {read: $.noop}); }).toThrow();
+        expect(function(){ Backbone.ModelBinder.registerAdapter('noop', {match: '*'}); }).toThrow();
+    });
+});
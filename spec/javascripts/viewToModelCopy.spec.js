@@ -0,0 +1,102 @@
+describe("copying whole view to model", function(){
+    beforeEach(function(){
+        this.model = new AModel();
+        this.view = new SimpleView({model: this.model});
+        this.view.render();
+        this.modelBinder = new Backbone.ModelBinder();
+
+        this.view.$('[name=firstName]').val('Bob');
+        this.view.$('[name=lastName]').val('Smith');
+        this.view.$('[name=education]').val('college');
+        this.view.$('#graduated_no').prop('checked', true);
+        this.view.$('[name=isActive]').prop('checked', true);
+    });
+
+    it("reads all readable bindings on bind with ViewToModel initial copy direction", function(){
+        this.modelBinder.bind(this.model, this.view.el, null, {
+            initialCopyDirection: Backbone.ModelBinder.Constants.ViewToModel
+        });
+
+        expect(this.model.get('firstName')).toEqual('Bob');
+        expect(this.model.get('lastName')).toEqual('Smith');
+        expect(this.model.get('education')).toEqual('college');
+        expect(this.model.get('graduated')).toEqual('no');
+        expect(this.model.get('isActive')).toBe(true);
+    });
+
+    it("sets all attributes at once", function(){
+        var changeEventCount = 0;
+        this.modelBinder.bind(this.model, this.view.el);
+        this.model.on('change', function(){ changeEventCount++; });
+
+        this.view.$('[name=firstName]').val('Bob');
+        this.view.$('[name=lastName]').val('Smith');
+        this.modelBinder.toModel();
+
+        expect(changeEventCount).toBe(1);
+    });
+
+    it("reads only given attributes", function(){
+        this.modelBinder.bind(this.model, this.view.el);
+        this.view.$('[name=firstName]').val('Kerry');
+        this.view.$('[name=lastName]').val('Collins');
+
+        this.modelBinder.toModel('firstName');
+        expect(this.model.get('firstName')).toEqual('Kerry');
+        expect(this.model.get('lastName')).toBeUndefined();
+
+        this.modelBinder.toModel(['lastName', 'education']);
+        expect(this.model.get('lastName')).toEqual('Collins');
+    });
+
+    it("uses only checked radio in group", function(){
+        this.modelBinder.bind(this.model, this.view.el);
+
+        this.view.$('#graduated_maybe').prop('checked', true);
+        this.modelBinder.toModel('graduated');
+        expect(this.model.get('graduated')).toEqual('maybe');
+    });
+
+    it("skips radio group without checked radio", function(){
+        this.modelBinder.bind(this.model, this.view.el);
+        this.view.$('[name=firstName]').val('Bob');
+        this.view.$('[name=graduated]').prop('checked', false);
+
+        this.modelBinder.toModel();
+        expect(this.model.has('graduated')).toBe(false);
+        expect(this.model.get('firstName')).toEqual('Bob');
+    });
+
+    it("skips not editable elements", function(){
+        this.view.$('#firstName').text('Not a value');
+        this.modelBinder.bind(this.model, this.view.el, {
+            firstName: [{selector: '[name=firstName]'}, {selector: '#firstName'}]
+        }, {
+            initialCopyDirection: Backbone.ModelBinder.Constants.ViewToModel
+        });
+
+        expect(this.model.get('firstName')).toEqual('Bob');
+    });
+
+    it("reads not editable elements when 'read' is set", function(){
+        this.view.$('#address').attr('data-value', 'Baker st.');
+        this.modelBinder.bind(this.model, this.view.el, {
+            address: {selector: '#address', elAttr: 'data-value', read: 'data-value'}
+        }, {
+            initialCopyDirection: Backbone.ModelBinder.Constants.ViewToModel
+        });
+
+        expect(this.model.get('address')).toEqual('Baker st.');
+    });
+
+    it("throws when several elements have different values for the same attribute", function(){
+        this.modelBinder.bind(this.model, this.view.el, {
+            firstName: '[name=firstName], [name=lastName]'
+        });
+        this.view.$('[name=firstName]').val('Bob');
+        this.view.$('[name=lastName]').val('Smith');
+
+        var binder = this.modelBinder;
+        expect(function(){ binder.toModel(); }).toThrow();
+    });
+});